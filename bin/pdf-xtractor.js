@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * BlockCell PDF Extractor - Command Line
+ * Converts PDFs with the same extraction core and exporters as the website
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// pdf.js logs its warnings to stdout; keep stdout for the output itself
+console.log = console.error;
+
+const HeadlessExtractor = require('../docs/headless-extractor.js');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: pdf-xtractor <file.pdf>... [options]
+
+Options:
+  -p, --pages <range>      Pages to extract, e.g. 1-5,8 (default: all pages)
+  -f, --format <format>    xlsx, xlsx-structured, xlsx-payroll, txt, md, html,
+                           json (layout) or zip (images) (default: xlsx)
+      --password <value>   Password for encrypted PDFs; PDF_XTRACTOR_PASSWORD
+                           keeps it out of the shell history
+  -o, --output <dir>       Directory for the output files, created if needed
+                           (default: current directory); - writes to stdout
+      --ocr <mode>         auto, force or off (default: auto)
+      --images             Extract embedded images (implied by --format zip)
+      --forms              Read form fields and annotations
+      --remove-headers     Drop headers, footers and page numbers repeated
+                           from page to page
+  -r, --require <module>   Load a module that registers more formats with
+                           HeadlessExtractor.registerFormat; repeatable
+  -q, --quiet              Print errors only
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Output files are named like the website's downloads, e.g.
+report.pdf -> report_extracted.xlsx. The exit code is 1 when any file
+fails and 2 for invalid arguments.`;
+
+// Options that take a value, by every spelling
+const VALUE_OPTIONS = {
+    '-p': 'pages', '--pages': 'pages',
+    '-f': 'format', '--format': 'format',
+    '--password': 'password',
+    '-o': 'output', '--output': 'output',
+    '--ocr': 'ocr',
+    '-r': 'require', '--require': 'require'
+};
+
+const FLAG_OPTIONS = {
+    '--images': 'images',
+    '--forms': 'forms',
+    '--remove-headers': 'removeHeaders',
+    '-q': 'quiet', '--quiet': 'quiet',
+    '-h': 'help', '--help': 'help',
+    '-v': 'version', '--version': 'version'
+};
+
+class UsageError extends Error {}
+
+function parseArguments(args) {
+    const options = { files: [], format: 'xlsx', ocr: 'auto', output: '.', require: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_OPTIONS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) throw new UsageError(`${name} needs a value.`);
+            if (Array.isArray(options[VALUE_OPTIONS[name]])) {
+                options[VALUE_OPTIONS[name]].push(value);
+            } else {
+                options[VALUE_OPTIONS[name]] = value;
+            }
+        } else if (FLAG_OPTIONS[name]) {
+            options[FLAG_OPTIONS[name]] = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option ${arg}.`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (!['auto', 'force', 'off'].includes(options.ocr)) {
+        throw new UsageError(`--ocr must be auto, force or off, not "${options.ocr}".`);
+    }
+    // Format plugins first, so --format can name their formats
+    for (const plugin of options.require) {
+        try {
+            require(require.resolve(plugin, { paths: [process.cwd()] }));
+        } catch (error) {
+            // Not found errors go on to list the require stack
+            throw new UsageError(`--require ${plugin} could not be loaded: ${error.message.split('\n')[0]}`);
+        }
+    }
+    try {
+        options.format = HeadlessExtractor.resolveFormat(options.format);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (options.output === '-' && options.files.length > 1) {
+        throw new UsageError('-o - writes to stdout and takes a single input file.');
+    }
+    if (options.password === undefined) options.password = process.env.PDF_XTRACTOR_PASSWORD;
+    return options;
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function describeError(error) {
+    if (error.code === 'ENOENT') return 'file not found';
+    // Images (and OCR) render through the optional node-canvas package
+    if (error.code === 'MODULE_NOT_FOUND' && /'canvas'/.test(error.message)) {
+        return 'extracting images needs the optional canvas package (npm install canvas)';
+    }
+    return error.message;
+}
+
+async function convertFile(file, options) {
+    const { result, output } = await HeadlessExtractor.convert(file, {
+        pageRange: options.pages,
+        password: options.password,
+        format: options.format,
+        ocr: options.ocr,
+        images: options.images,
+        forms: options.forms,
+        removeHeaders: options.removeHeaders
+    });
+
+    if (options.output === '-') {
+        process.stdout.write(output.data);
+        return null;
+    }
+
+    fs.mkdirSync(options.output, { recursive: true });
+    const target = path.join(options.output, output.name);
+    fs.writeFileSync(target, output.data);
+    return { result, target };
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`pdf-xtractor: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.quiet) console.log = () => {};
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.version) {
+        process.stdout.write(`${version}\n`);
+        return 0;
+    }
+    if (options.files.length === 0) {
+        console.error(`pdf-xtractor: no input files.\n\n${USAGE}`);
+        return 2;
+    }
+
+    let failures = 0;
+    for (const file of options.files) {
+        try {
+            const converted = await convertFile(file, options);
+            if (converted && !options.quiet) {
+                const { result, target } = converted;
+                const pages = result.pageNumbers.length;
+                console.error(`${file} -> ${target} (${pages} ${pages === 1 ? 'page' : 'pages'}, ${formatSeconds(result.durationMs)})`);
+            }
+        } catch (error) {
+            failures++;
+            console.error(`${file}: ${describeError(error)}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,275 @@
+/**
+ * BlockCell PDF Extractor - AI Chat
+ * Drives the #aiChatWidget: switches on once a document is extracted and
+ * answers from its text through DocumentAssistant, with page citations
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class AIChat {
+    constructor() {
+        this.elements = {
+            window: document.getElementById('chatWindow'),
+            messages: document.getElementById('chatMessages'),
+            input: document.getElementById('chatInput'),
+            send: document.getElementById('chatSend'),
+            quickActions: document.getElementById('quickActions'),
+            settingsButton: document.getElementById('chatSettingsBtn'),
+            settingsForm: document.getElementById('chatSettings'),
+            backend: document.getElementById('aiBackend'),
+            endpointFields: document.getElementById('aiEndpointFields'),
+            endpoint: document.getElementById('aiEndpoint'),
+            apiKey: document.getElementById('aiApiKey'),
+            model: document.getElementById('aiModel')
+        };
+
+        this.index = null;
+        this.history = [];
+        this.busy = false;
+        this.settings = this.loadSettings();
+
+        this.bindEvents();
+        this.fillSettingsForm();
+    }
+
+    bindEvents() {
+        const { input, send, quickActions, messages, settingsButton, settingsForm, backend } = this.elements;
+
+        if (send) send.addEventListener('click', () => this.submit());
+        if (input) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submit();
+                }
+            });
+        }
+
+        if (quickActions) {
+            quickActions.addEventListener('click', (e) => {
+                const button = e.target.closest('.quick-btn');
+                if (button) this.runQuickAction(button.dataset.action, button.textContent.trim());
+            });
+        }
+
+        // Citations jump to their page in the text preview
+        if (messages) {
+            messages.addEventListener('click', (e) => {
+                const citation = e.target.closest('.citation');
+                if (!citation) return;
+                document.dispatchEvent(new CustomEvent('blockcell:show-page', {
+                    detail: { pageNumber: Number(citation.dataset.page) }
+                }));
+            });
+        }
+
+        if (settingsButton && settingsForm) {
+            settingsButton.addEventListener('click', () => {
+                settingsForm.hidden = !settingsForm.hidden;
+            });
+            settingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings();
+            });
+        }
+
+        if (backend) backend.addEventListener('change', () => this.toggleEndpointFields());
+    }
+
+    loadSettings() {
+        try {
+            return { backend: 'offline', ...JSON.parse(localStorage.getItem(AIChat.SETTINGS_KEY) || '{}') };
+        } catch (error) {
+            return { backend: 'offline' };
+        }
+    }
+
+    fillSettingsForm() {
+        const { backend, endpoint, apiKey, model } = this.elements;
+        if (backend) backend.value = this.settings.backend;
+        if (endpoint) endpoint.value = this.settings.endpoint || '';
+        if (apiKey) apiKey.value = this.settings.apiKey || '';
+        if (model) model.value = this.settings.model || '';
+        this.toggleEndpointFields();
+    }
+
+    toggleEndpointFields() {
+        const { backend, endpointFields } = this.elements;
+        if (endpointFields) endpointFields.hidden = !backend || backend.value !== 'openai';
+    }
+
+    saveSettings() {
+        const { backend, endpoint, apiKey, model, settingsForm } = this.elements;
+        const settings = {
+            backend: backend ? backend.value : 'offline',
+            endpoint: endpoint ? endpoint.value.trim() : '',
+            apiKey: apiKey ? apiKey.value.trim() : '',
+            model: model ? model.value.trim() : ''
+        };
+
+        if (settings.backend === 'openai' && !settings.endpoint) {
+            if (endpoint) endpoint.focus();
+            return;
+        }
+
+        this.settings = settings;
+        try {
+            localStorage.setItem(AIChat.SETTINGS_KEY, JSON.stringify(settings));
+        } catch (error) {
+            // Private browsing: keep the settings for this visit only
+        }
+        if (settingsForm) settingsForm.hidden = true;
+
+        const where = settings.backend === 'openai' ? settings.endpoint : 'the offline summarizer on this device';
+        this.addMessage('bot', `Settings saved. Questions are now answered by ${where}.`);
+    }
+
+    /**
+     * Turn the chat on for a freshly extracted document.
+     */
+    setDocument(result) {
+        const { input, send, quickActions } = this.elements;
+
+        this.index = DocumentAssistant.buildIndex(result);
+        this.history = [];
+
+        if (input) {
+            input.disabled = false;
+            input.placeholder = 'Ask about your document...';
+        }
+        if (send) send.disabled = false;
+        if (quickActions) quickActions.style.display = 'flex';
+
+        const pages = result.pages.length;
+        this.addMessage('bot', `I've read ${result.fileName || 'your PDF'} (${pages} ${pages === 1 ? 'page' : 'pages'}). ` +
+            'Ask me anything about it, or try a quick action below.');
+    }
+
+    /**
+     * Swap in another version of the open document (e.g. after the
+     * personal data masking changed) without restarting the conversation.
+     */
+    updateDocument(result) {
+        if (!this.index) return;
+        this.index = DocumentAssistant.buildIndex(result);
+    }
+
+    clearDocument() {
+        const { input, send, quickActions } = this.elements;
+
+        this.index = null;
+        this.history = [];
+
+        if (input) {
+            input.value = '';
+            input.disabled = true;
+            input.placeholder = 'Upload a PDF first...';
+        }
+        if (send) send.disabled = true;
+        if (quickActions) quickActions.style.display = 'none';
+    }
+
+    submit() {
+        const { input } = this.elements;
+        if (!input) return;
+
+        const question = input.value.trim();
+        if (!question || !this.index || this.busy) return;
+
+        input.value = '';
+        this.ask(question);
+    }
+
+    async ask(question) {
+        this.addMessage('user', question);
+        const pending = this.addMessage('bot', 'Thinking...');
+        pending.classList.add('pending');
+        this.setBusy(true);
+
+        try {
+            const backend = DocumentAssistant.createBackend(this.settings);
+            const reply = await backend.ask({
+                index: this.index,
+                question,
+                history: this.history.slice(-AIChat.HISTORY_MESSAGES)
+            });
+            this.history.push({ role: 'user', content: question }, { role: 'assistant', content: reply.text });
+            this.renderContent(pending, reply.text);
+        } catch (error) {
+            console.error('AI chat failed:', error);
+            this.renderContent(pending, `Sorry, I couldn't get an answer. ${error.message}`);
+            pending.classList.add('error');
+        } finally {
+            pending.classList.remove('pending');
+            this.setBusy(false);
+        }
+    }
+
+    // Quick actions always run offline, so they work without an endpoint
+    runQuickAction(action, label) {
+        const run = DocumentAssistant.QUICK_ACTIONS[action];
+        if (!run || !this.index) return;
+
+        this.addMessage('user', label);
+        this.addMessage('bot', run(this.index).text);
+    }
+
+    setBusy(busy) {
+        const { input, send } = this.elements;
+        this.busy = busy;
+        if (send) send.disabled = busy || !this.index;
+        if (input) input.disabled = busy || !this.index;
+        if (!busy && input && this.index) input.focus();
+    }
+
+    addMessage(role, text) {
+        const message = document.createElement('div');
+        message.className = `chat-message ${role}`;
+        message.innerHTML = `
+            <div class="message-avatar">
+                <i class="fas ${role === 'user' ? 'fa-user' : 'fa-robot'}"></i>
+            </div>
+            <div class="message-content"></div>
+        `;
+        this.renderContent(message, text);
+
+        if (this.elements.messages) {
+            this.elements.messages.appendChild(message);
+            this.elements.messages.scrollTop = this.elements.messages.scrollHeight;
+        }
+        return message;
+    }
+
+    /**
+     * Show text with line breaks kept and every [p. N] / [pp. N, M]
+     * citation turned into page links.
+     */
+    renderContent(message, text) {
+        const escape = value => value.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        const html = escape(text)
+            .replace(/\[(?:pp?\.|pages?)\s*[\d,\s–-]+\]/gi, citation => DocumentAssistant.citedPages(citation)
+                .map(page => `<button type="button" class="citation" data-page="${page}">p. ${page}</button>`)
+                .join(' '))
+            .replace(/\n/g, '<br>');
+
+        const content = message.querySelector('.message-content');
+        content.innerHTML = `<p>${html}</p>`;
+
+        if (this.elements.messages) {
+            this.elements.messages.scrollTop = this.elements.messages.scrollHeight;
+        }
+    }
+}
+
+AIChat.SETTINGS_KEY = 'blockcell-ai-settings';
+
+// Earlier turns sent along with a question to a chat endpoint
+AIChat.HISTORY_MESSAGES = 6;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIChat;
+}
@@ -0,0 +1,145 @@
+/**
+ * BlockCell PDF Extractor - Batch Queue
+ * Runs a list of extraction jobs with a concurrency limit and per-job status
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const STATUS = {
+        QUEUED: 'queued',
+        PROCESSING: 'processing',
+        DONE: 'done',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    };
+
+    class BatchQueue {
+        /**
+         * @param {Object} options
+         * @param {number} options.concurrency - Jobs processed at the same time
+         * @param {Function} options.process - (job, { signal, onProgress }) => Promise<result>
+         * @param {Function} [options.onUpdate] - Called with a job whenever it changes
+         */
+        constructor({ concurrency = 2, process, onUpdate }) {
+            this.concurrency = Math.max(1, concurrency);
+            this.process = process;
+            this.onUpdate = onUpdate || (() => {});
+            this.jobs = [];
+            this.nextId = 1;
+            this.running = false;
+            this.controllers = new Map();
+        }
+
+        add(file, overrides = {}) {
+            const job = {
+                id: this.nextId++,
+                file,
+                overrides,
+                status: STATUS.QUEUED,
+                progress: null,
+                result: null,
+                error: null
+            };
+            this.jobs.push(job);
+            this.onUpdate(job);
+            return job;
+        }
+
+        get(id) {
+            return this.jobs.find(job => job.id === id) || null;
+        }
+
+        remove(id) {
+            const job = this.get(id);
+            if (!job || job.status === STATUS.PROCESSING) return false;
+            this.jobs = this.jobs.filter(candidate => candidate !== job);
+            return true;
+        }
+
+        update(job, changes) {
+            Object.assign(job, changes);
+            this.onUpdate(job);
+        }
+
+        /**
+         * Put failed or cancelled jobs back in the queue so the next run
+         * retries them.
+         */
+        requeue(id) {
+            const job = this.get(id);
+            if (!job || job.status === STATUS.PROCESSING || job.status === STATUS.DONE) return;
+            this.update(job, { status: STATUS.QUEUED, progress: null, error: null });
+        }
+
+        /**
+         * Process every queued job; resolves once all of them have settled.
+         */
+        async start() {
+            if (this.running) return;
+            this.running = true;
+
+            const next = () => this.jobs.find(job => job.status === STATUS.QUEUED);
+            const worker = async () => {
+                let job;
+                while (this.running && (job = next())) {
+                    await this.runJob(job);
+                }
+            };
+
+            try {
+                await Promise.all(Array.from({ length: this.concurrency }, worker));
+            } finally {
+                this.running = false;
+            }
+        }
+
+        async runJob(job) {
+            const controller = new AbortController();
+            this.controllers.set(job.id, controller);
+            this.update(job, { status: STATUS.PROCESSING, progress: null, error: null });
+
+            try {
+                const result = await this.process(job, {
+                    signal: controller.signal,
+                    onProgress: progress => this.update(job, { progress })
+                });
+                this.update(job, { status: STATUS.DONE, result });
+            } catch (error) {
+                const cancelled = controller.signal.aborted || error.code === 'CANCELLED';
+                this.update(job, { status: cancelled ? STATUS.CANCELLED : STATUS.FAILED, error });
+            } finally {
+                this.controllers.delete(job.id);
+            }
+        }
+
+        /**
+         * Stop the run: abort jobs in progress and leave the rest queued.
+         */
+        cancel() {
+            this.running = false;
+            for (const controller of this.controllers.values()) {
+                controller.abort();
+            }
+        }
+
+        isRunning() {
+            return this.running;
+        }
+
+        completedJobs() {
+            return this.jobs.filter(job => job.status === STATUS.DONE);
+        }
+    }
+
+    BatchQueue.STATUS = STATUS;
+
+    root.BatchQueue = BatchQueue;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BatchQueue;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,506 @@
+/**
+ * BlockCell PDF Extractor - Document Assistant
+ * Answers questions about an extraction result with page citations, either
+ * offline (extractive) or through an OpenAI-compatible chat endpoint
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const STOP_WORDS = new Set((
+        'a about above after again all also am an and any are as at be because been before being below ' +
+        'between both but by can could did do does doing down during each few for from further had has ' +
+        'have having he her here hers him his how i if in into is it its itself just me more most my no ' +
+        'nor not now of off on once only or other our ours out over own same she should so some such than ' +
+        'that the their theirs them then there these they this those through to too under until up very ' +
+        'was we were what when where which while who whom why will with would you your yours'
+    ).split(' '));
+
+    // Sentences with fewer content words are labels or fragments, not statements
+    const MIN_SENTENCE_TERMS = 3;
+
+    const SUMMARY_SENTENCES = 5;
+    const ANSWER_SENTENCES = 3;
+
+    // Excerpts sent to a chat endpoint with each question
+    const CONTEXT_PASSAGES = 8;
+    const CONTEXT_CHARACTERS = 6000;
+
+    const AMOUNT_PATTERN = /(?:[$€£]\s?)?\(?-?\d{1,3}(?:,\d{3})+(?:\.\d{2})?\)?|(?:[$€£]\s?)\d+(?:\.\d{2})?|\b\d+\.\d{2}\b/g;
+
+    const SYSTEM_PROMPT = [
+        'You answer questions about a PDF document using only the excerpts provided.',
+        'Each excerpt starts with its page number. Cite the page of every fact as [p. N].',
+        'If the excerpts do not contain the answer, say that the document does not say.'
+    ].join(' ');
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function optionalModule(name, path) {
+        try {
+            return getModule(name, path);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function tokenize(text) {
+        return (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+    }
+
+    /**
+     * Rejoin wrapped lines into paragraphs; lines that look like labels or
+     * table rows stay on their own.
+     */
+    function toParagraphs(lines) {
+        const paragraphs = [];
+        let current = '';
+
+        for (const line of lines) {
+            const text = line.text.trim();
+            const continues = current && !/[.!?:]$/.test(current) && /^[a-z(]/.test(text);
+            if (continues) {
+                current = current.replace(/-$/, '') + (current.endsWith('-') ? '' : ' ') + text;
+            } else {
+                if (current) paragraphs.push(current);
+                current = text;
+            }
+        }
+        if (current) paragraphs.push(current);
+
+        return paragraphs;
+    }
+
+    function splitSentences(paragraph) {
+        return paragraph
+            .split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Index an extraction result: every sentence with its page and terms,
+     * plus document-wide term counts for ranking.
+     */
+    function buildIndex(result) {
+        const sentences = [];
+        const termCounts = new Map();
+        const sentenceCounts = new Map();
+
+        for (const page of result.pages) {
+            for (const paragraph of toParagraphs(page.lines)) {
+                for (const text of splitSentences(paragraph)) {
+                    const terms = tokenize(text);
+                    sentences.push({ text, pageNumber: page.pageNumber, position: sentences.length, terms });
+                    terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+                    new Set(terms).forEach(term => sentenceCounts.set(term, (sentenceCounts.get(term) || 0) + 1));
+                }
+            }
+        }
+
+        return { result, sentences, termCounts, sentenceCounts };
+    }
+
+    function inverseFrequency(index, term) {
+        return Math.log(1 + index.sentences.length / (1 + (index.sentenceCounts.get(term) || 0)));
+    }
+
+    function wordCount(text) {
+        return (text.match(/\S+/g) || []).length;
+    }
+
+    /**
+     * "[p. 3]" or "[pp. 2, 5]" for a set of page numbers.
+     */
+    function cite(pageNumbers) {
+        const pages = [...new Set(pageNumbers)].sort((a, b) => a - b);
+        if (pages.length === 0) return '';
+        return pages.length === 1 ? `[p. ${pages[0]}]` : `[pp. ${pages.join(', ')}]`;
+    }
+
+    /**
+     * Page numbers cited in a piece of text, in order of appearance.
+     */
+    function citedPages(text) {
+        const pages = [];
+        const pattern = /\[(?:pp?\.|pages?)\s*([\d,\s–-]+)\]/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            for (const part of match[1].split(',')) {
+                const bounds = part.split(/[–-]/).map(value => parseInt(value, 10));
+                const start = bounds[0];
+                const end = bounds.length > 1 && bounds[1] >= start ? bounds[1] : start;
+                if (Number.isNaN(start)) continue;
+                for (let page = start; page <= end; page++) {
+                    if (!pages.includes(page)) pages.push(page);
+                }
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * Sentences ranked against a question, best first, dropping those that
+     * share no terms with it.
+     */
+    function rankSentences(index, question) {
+        const questionTerms = new Set(tokenize(question));
+        if (questionTerms.size === 0) return [];
+
+        return index.sentences
+            .map(sentence => {
+                const matched = new Set(sentence.terms.filter(term => questionTerms.has(term)));
+                const score = [...matched].reduce((sum, term) => sum + inverseFrequency(index, term), 0) /
+                    Math.sqrt(1 + sentence.terms.length / 12);
+                return { sentence, score };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.sentence);
+    }
+
+    /**
+     * Excerpts for a question: the best sentences with their neighbours,
+     * grouped by page, within the character budget.
+     */
+    function retrieve(index, question, limit = CONTEXT_PASSAGES) {
+        const ranked = rankSentences(index, question).slice(0, limit);
+        const chosen = ranked.length > 0 ? ranked : index.sentences.slice(0, limit);
+        const positions = new Set();
+
+        for (const sentence of chosen) {
+            for (let position = sentence.position - 1; position <= sentence.position + 1; position++) {
+                const neighbour = index.sentences[position];
+                if (neighbour && neighbour.pageNumber === sentence.pageNumber) positions.add(position);
+            }
+        }
+
+        const passages = [];
+        let characters = 0;
+        for (const position of [...positions].sort((a, b) => a - b)) {
+            const sentence = index.sentences[position];
+            if (characters + sentence.text.length > CONTEXT_CHARACTERS) break;
+            characters += sentence.text.length;
+
+            const last = passages[passages.length - 1];
+            if (last && last.pageNumber === sentence.pageNumber) {
+                last.text += ` ${sentence.text}`;
+            } else {
+                passages.push({ pageNumber: sentence.pageNumber, text: sentence.text });
+            }
+        }
+
+        return passages;
+    }
+
+    function noText(index) {
+        return index.sentences.length === 0
+            ? 'There is no text in this document to work with. If it is scanned, try extracting it again with OCR set to Always.'
+            : null;
+    }
+
+    /**
+     * Extractive answer: the sentences that best match the question.
+     */
+    function answer(index, question) {
+        const empty = noText(index);
+        if (empty) return { text: empty, pages: [] };
+
+        const sentences = rankSentences(index, question)
+            .slice(0, ANSWER_SENTENCES)
+            .sort((a, b) => a.position - b.position);
+
+        if (sentences.length === 0) {
+            return { text: "I couldn't find anything about that in the document.", pages: [] };
+        }
+
+        return {
+            text: ['Here is what the document says:', ...sentences.map(sentence => `• ${sentence.text} ${cite([sentence.pageNumber])}`)].join('\n'),
+            pages: sentences.map(sentence => sentence.pageNumber)
+        };
+    }
+
+    /**
+     * Extractive summary: the most representative sentences, scored by the
+     * document frequency of their terms and kept in reading order.
+     */
+    function summarize(index) {
+        const empty = noText(index);
+        if (empty) return { text: empty, pages: [] };
+
+        // Repeated sentences (running headers, boilerplate) count once
+        const seen = new Set();
+        const unique = index.sentences.filter(sentence => {
+            const key = sentence.text.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        const candidates = unique.filter(sentence => new Set(sentence.terms).size >= MIN_SENTENCE_TERMS);
+        const pool = candidates.length > 0 ? candidates : unique;
+        const firstOnPage = new Set();
+
+        const chosen = pool
+            .map(sentence => {
+                const unique = [...new Set(sentence.terms)];
+                let score = unique.reduce((sum, term) => sum + (index.termCounts.get(term) || 0), 0) /
+                    Math.max(1, Math.sqrt(unique.length) * 2);
+                // Opening sentences of a page tend to introduce it
+                if (!firstOnPage.has(sentence.pageNumber)) {
+                    firstOnPage.add(sentence.pageNumber);
+                    score *= 1.2;
+                }
+                return { sentence, score };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SUMMARY_SENTENCES)
+            .map(entry => entry.sentence)
+            .sort((a, b) => a.position - b.position);
+
+        return {
+            text: ['Summary:', ...chosen.map(sentence => `• ${sentence.text} ${cite([sentence.pageNumber])}`)].join('\n'),
+            pages: chosen.map(sentence => sentence.pageNumber)
+        };
+    }
+
+    /**
+     * Amounts with the line they appear on; the same amount on the same line
+     * text is one entry listing every page it is on.
+     */
+    function findAmounts(result) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const amounts = new Map();
+
+        for (const page of result.pages) {
+            for (const line of page.lines) {
+                for (const match of line.text.match(AMOUNT_PATTERN) || []) {
+                    const value = TableDetection.parseNumber(match);
+                    if (value === null) continue;
+
+                    const key = `${value}|${line.text}`;
+                    const amount = amounts.get(key) || { value, line: line.text, pageNumbers: [] };
+                    if (!amount.pageNumbers.includes(page.pageNumber)) amount.pageNumbers.push(page.pageNumber);
+                    amounts.set(key, amount);
+                }
+            }
+        }
+
+        return [...amounts.values()];
+    }
+
+    function topTerms(index, count) {
+        return [...index.termCounts.entries()]
+            .filter(([term]) => !/^\d/.test(term))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, count)
+            .map(([term]) => term);
+    }
+
+    function formatAmount(value) {
+        return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    /**
+     * Structural overview: size, OCR use, key terms and the largest amounts.
+     */
+    function analyze(index) {
+        const empty = noText(index);
+        if (empty) return { text: empty, pages: [] };
+
+        const { result } = index;
+        const words = result.pages.reduce((sum, page) => sum + wordCount(page.text), 0);
+        const ocrPages = result.pages.filter(page => page.ocr).map(page => page.pageNumber);
+        const lines = [
+            'Analysis:',
+            `• ${result.pages.length} ${result.pages.length === 1 ? 'page' : 'pages'}, about ${words.toLocaleString('en-US')} words in ${index.sentences.length} sentences.`
+        ];
+        const pages = [];
+
+        if (ocrPages.length > 0) {
+            lines.push(`• Read with OCR: ${cite(ocrPages)}`);
+            pages.push(...ocrPages);
+        }
+
+        const terms = topTerms(index, 6);
+        if (terms.length > 0) lines.push(`• Key terms: ${terms.join(', ')}.`);
+
+        const amounts = findAmounts(result);
+        if (amounts.length > 0) {
+            const largest = [...amounts].sort((a, b) => Math.abs(b.value) - Math.abs(a.value)).slice(0, 3);
+            lines.push(`• ${amounts.length} distinct amounts found. Largest:`);
+            for (const amount of largest) {
+                lines.push(`  – ${formatAmount(amount.value)} in "${amount.line}" ${cite(amount.pageNumbers)}`);
+                pages.push(...amount.pageNumbers);
+            }
+        }
+
+        return { text: lines.join('\n'), pages };
+    }
+
+    /**
+     * Things worth a second look: payroll mismatches, pages without text,
+     * low-confidence OCR and lines repeated across pages.
+     */
+    function insights(index) {
+        const empty = noText(index);
+        if (empty) return { text: empty, pages: [] };
+
+        const { result } = index;
+        const lines = ['Insights:'];
+        const pages = [];
+        const add = (text, pageNumbers) => {
+            lines.push(`• ${text} ${cite(pageNumbers)}`.trim());
+            pages.push(...pageNumbers);
+        };
+
+        const PayrollParser = optionalModule('PayrollParser', './payroll-parser.js');
+        if (PayrollParser) {
+            const payroll = PayrollParser.parse(result);
+            if (payroll.employees.length > 0) {
+                add(`${payroll.employees.length} payroll ${payroll.employees.length === 1 ? 'record' : 'records'} found.`,
+                    payroll.employees.flatMap(employee => employee.pageNumbers));
+            }
+            for (const { employee, difference } of payroll.discrepancies.filter(entry => entry.difference !== null)) {
+                const who = employee.employeeName || employee.employeeId || 'An employee';
+                add(`${who}: net pay is off by ${formatAmount(difference)} from gross minus deductions.`, employee.pageNumbers);
+            }
+        }
+
+        const blank = result.pages.filter(page => page.text.trim() === '').map(page => page.pageNumber);
+        if (blank.length > 0) add('No text found on these pages; they may be blank or scanned.', blank);
+
+        const uncertain = result.pages.filter(page => page.ocr && page.ocr.confidence < 70);
+        if (uncertain.length > 0) {
+            add('OCR confidence is below 70% here, so double-check these pages.', uncertain.map(page => page.pageNumber));
+        }
+
+        const lineCounts = new Map();
+        for (const page of result.pages) {
+            for (const text of new Set(page.lines.map(line => line.text.trim()))) {
+                if (text.length < 4 || /^\d+$/.test(text)) continue;
+                lineCounts.set(text, (lineCounts.get(text) || []).concat(page.pageNumber));
+            }
+        }
+        const repeated = [...lineCounts.entries()]
+            .filter(([, pageNumbers]) => pageNumbers.length >= Math.max(2, result.pages.length * 0.6))
+            .slice(0, 3);
+        for (const [text, pageNumbers] of repeated) {
+            lines.push(`• "${text}" repeats on ${pageNumbers.length} pages (likely a header or footer).`);
+        }
+
+        const amounts = findAmounts(result);
+        if (amounts.length > 0) {
+            const largest = amounts.reduce((max, amount) => (Math.abs(amount.value) > Math.abs(max.value) ? amount : max));
+            add(`The largest amount is ${formatAmount(largest.value)} ("${largest.line}").`, largest.pageNumbers);
+        }
+
+        if (lines.length === 1) lines.push('• Nothing unusual stood out in this document.');
+        return { text: lines.join('\n'), pages };
+    }
+
+    const QUICK_ACTIONS = { summarize, analyze, insights };
+
+    /**
+     * Backend that answers on this device from the index alone.
+     */
+    function createOfflineBackend() {
+        return {
+            name: 'offline',
+            async ask({ index, question }) {
+                return answer(index, question);
+            }
+        };
+    }
+
+    /**
+     * Backend for any OpenAI-compatible /chat/completions endpoint, such as
+     * a hosted API, a local model server or a mock server.
+     *
+     * @param {Object} settings
+     * @param {string} settings.endpoint - Base URL, e.g. http://localhost:8080/v1
+     * @param {string} [settings.apiKey]
+     * @param {string} [settings.model]
+     */
+    function createOpenAIBackend({ endpoint, apiKey, model }) {
+        if (!endpoint) throw new Error('Set the endpoint URL for the AI backend.');
+        const url = `${endpoint.replace(/\/+$/, '')}/chat/completions`;
+
+        return {
+            name: 'openai',
+            async ask({ index, question, history = [], signal }) {
+                const passages = retrieve(index, question);
+                const excerpts = passages.map(passage => `[Page ${passage.pageNumber}]\n${passage.text}`).join('\n\n');
+                const messages = [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    ...history,
+                    {
+                        role: 'user',
+                        content: `Document: ${index.result.fileName || 'PDF'}\n\nExcerpts:\n${excerpts || '(no text)'}\n\nQuestion: ${question}`
+                    }
+                ];
+
+                const headers = { 'Content-Type': 'application/json' };
+                if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ model: model || undefined, messages, temperature: 0.2 }),
+                    signal
+                });
+                if (!response.ok) {
+                    const status = [response.status, response.statusText].filter(Boolean).join(' ');
+                    throw new Error(`The AI endpoint answered ${status}.`);
+                }
+
+                const data = await response.json();
+                const choice = data.choices && data.choices[0];
+                const content = choice && choice.message && choice.message.content;
+                if (typeof content !== 'string') throw new Error('The AI endpoint sent an answer in an unexpected format.');
+
+                // Point to the excerpts when the model left out citations
+                const pages = citedPages(content);
+                if (pages.length > 0) return { text: content.trim(), pages };
+
+                const sources = passages.map(passage => passage.pageNumber);
+                return {
+                    text: sources.length > 0 ? `${content.trim()}\n\nSources: ${cite(sources)}` : content.trim(),
+                    pages: [...new Set(sources)]
+                };
+            }
+        };
+    }
+
+    function createBackend(settings = {}) {
+        return settings.backend === 'openai' ? createOpenAIBackend(settings) : createOfflineBackend();
+    }
+
+    const DocumentAssistant = {
+        QUICK_ACTIONS,
+        buildIndex,
+        retrieve,
+        answer,
+        summarize,
+        analyze,
+        insights,
+        cite,
+        citedPages,
+        createOfflineBackend,
+        createOpenAIBackend,
+        createBackend
+    };
+
+    root.DocumentAssistant = DocumentAssistant;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DocumentAssistant;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
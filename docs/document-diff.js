@@ -0,0 +1,687 @@
+/**
+ * BlockCell PDF Extractor - Document Diff
+ * Compares two extraction results, e.g. this month's statement with last
+ * month's: a line diff grouped by page with word-level changes, and for
+ * tabular exports a cell-level diff of the reconstructed tables. Renders
+ * the report as HTML and as a workbook
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Past this many inserted or deleted entries the rest is reported as
+    // replaced instead of being diffed further
+    const MAX_EDITS = 2000;
+
+    // Unchanged lines kept around each change in the report
+    const CONTEXT_LINES = 2;
+
+    // A removed and an added line (or row) count as one changed line when
+    // at least this share of their words (or cells) match
+    const SIMILARITY = 0.5;
+
+    // A removed line is only paired with one of the next this many added
+    // lines, so a long run of unrelated text costs a bounded number of
+    // word diffs per line instead of one per pair
+    const PAIR_WINDOW = 20;
+
+    const CHANGE_LABELS = {
+        added: 'Added',
+        removed: 'Removed',
+        changed: 'Changed'
+    };
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function normalize(text) {
+        return String(text).replace(/\s+/g, ' ').trim();
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    function backtrack(trace, n, m, start) {
+        const ops = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const at = k => v[k + d + 1];
+            const k = x - y;
+            const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                ops.push({ type: 'same', before: start + x, after: start + y });
+            }
+            if (d > 0) {
+                if (x === previousX) {
+                    ops.push({ type: 'added', after: start + previousY });
+                } else {
+                    ops.push({ type: 'removed', before: start + previousX });
+                }
+            }
+            x = previousX;
+            y = previousY;
+        }
+
+        return ops.reverse();
+    }
+
+    // Myers' algorithm over a[start, endA) and b[start, endB)
+    function diffMiddle(a, b, start, endA, endB, equals) {
+        const n = endA - start;
+        const m = endB - start;
+        const limit = Math.min(n + m, MAX_EDITS);
+        const offset = limit + 1;
+        const v = new Int32Array(2 * limit + 3);
+        // v before each round, for k from -d - 1 to d + 1
+        const trace = [];
+
+        for (let d = 0; d <= limit; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && equals(a[start + x], b[start + y])) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) return backtrack(trace, n, m, start);
+            }
+        }
+
+        const ops = [];
+        for (let i = start; i < endA; i++) ops.push({ type: 'removed', before: i });
+        for (let i = start; i < endB; i++) ops.push({ type: 'added', after: i });
+        return ops;
+    }
+
+    /**
+     * Shortest edit script between two arrays as a list of
+     * { type: 'same' | 'removed' | 'added', before, after } with the indexes
+     * of the entries in a (before) and b (after).
+     */
+    function diffSequences(a, b, equals = (x, y) => x === y) {
+        let start = 0;
+        while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: 'same', before: i, after: i });
+        for (const op of diffMiddle(a, b, start, endA, endB, equals)) ops.push(op);
+        for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'same', before: endA + i, after: endB + i });
+        return ops;
+    }
+
+    /**
+     * Turn a removal followed by a similar addition into one 'changed' op,
+     * so an edited line reads as a change rather than a delete and an add.
+     */
+    function pairChanges(ops, isSimilar) {
+        const paired = [];
+        let index = 0;
+
+        while (index < ops.length) {
+            if (ops[index].type === 'same') {
+                paired.push(ops[index++]);
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < ops.length && ops[index].type !== 'same') {
+                (ops[index].type === 'removed' ? removed : added).push(ops[index]);
+                index++;
+            }
+
+            let next = 0;
+            for (const removal of removed) {
+                let match = -1;
+                for (let position = next; position < Math.min(added.length, next + PAIR_WINDOW); position++) {
+                    if (isSimilar(removal.before, added[position].after)) {
+                        match = position;
+                        break;
+                    }
+                }
+                if (match === -1) {
+                    paired.push(removal);
+                    continue;
+                }
+                paired.push(...added.slice(next, match));
+                paired.push({ type: 'changed', before: removal.before, after: added[match].after });
+                next = match + 1;
+            }
+            paired.push(...added.slice(next));
+        }
+
+        return paired;
+    }
+
+    // Share of matching entries: 1 for equal lists, 0 for nothing in common
+    function similarity(a, b, equals) {
+        if (a.length + b.length === 0) return 1;
+        const same = diffSequences(a, b, equals).filter(op => op.type === 'same').length;
+        return (2 * same) / (a.length + b.length);
+    }
+
+    /**
+     * The words of a changed line as [{ type: 'same' | 'removed' | 'added', text }].
+     */
+    function diffWords(before, after) {
+        const a = before.split(' ');
+        const b = after.split(' ');
+        const parts = [];
+
+        for (const op of diffSequences(a, b)) {
+            const text = op.type === 'added' ? b[op.after] : a[op.before];
+            const last = parts[parts.length - 1];
+            if (last && last.type === op.type) {
+                last.text += ` ${text}`;
+            } else {
+                parts.push({ type: op.type, text });
+            }
+        }
+
+        return parts;
+    }
+
+    // The non-empty lines of a result with the page each is on
+    function documentLines(result) {
+        const lines = [];
+        for (const page of result.pages) {
+            for (const line of page.lines) {
+                const text = normalize(line.text);
+                if (text) lines.push({ pageNumber: page.pageNumber, text });
+            }
+        }
+        return lines;
+    }
+
+    // Unchanged runs far from any change collapse to { type: 'skipped', count }
+    function withContext(lines) {
+        const keep = lines.map(line => line.type !== 'same');
+        lines.forEach((line, index) => {
+            if (line.type === 'same') return;
+            for (let offset = 1; offset <= CONTEXT_LINES; offset++) {
+                if (index - offset >= 0) keep[index - offset] = true;
+                if (index + offset < lines.length) keep[index + offset] = true;
+            }
+        });
+
+        const shown = [];
+        lines.forEach((line, index) => {
+            if (keep[index]) {
+                shown.push(line);
+                return;
+            }
+            const last = shown[shown.length - 1];
+            if (last && last.type === 'skipped') {
+                last.count++;
+            } else {
+                shown.push({ type: 'skipped', count: 1 });
+            }
+        });
+        return shown;
+    }
+
+    /**
+     * Give a cancel (options.signal) a chance to arrive between the steps
+     * of a comparison, and reject with CANCELLED once it has.
+     */
+    async function checkpoint(signal) {
+        if (!signal) return;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (signal.aborted) {
+            const { ExtractionError } = getModule('PDFExtractionCore', './extraction-core.js');
+            throw new ExtractionError('CANCELLED', 'Comparison was cancelled.');
+        }
+    }
+
+    /**
+     * Line diff of two results, grouped by the page of the newer document.
+     * Removed lines go with the page they were removed from in it.
+     */
+    async function diffText(before, after, signal) {
+        const a = documentLines(before);
+        const b = documentLines(after);
+        const words = line => line.text.split(' ');
+        const edits = diffSequences(a, b, (x, y) => x.text === y.text);
+        await checkpoint(signal);
+        const ops = pairChanges(edits, (i, j) => similarity(words(a[i]), words(b[j])) >= SIMILARITY);
+        await checkpoint(signal);
+
+        let pageNumber = b.length > 0 ? b[0].pageNumber : (after.pageNumbers[0] || 1);
+        const pages = new Map();
+
+        for (const op of ops) {
+            const old = op.before === undefined ? null : a[op.before];
+            const current = op.after === undefined ? null : b[op.after];
+            if (current) pageNumber = current.pageNumber;
+
+            const line = {
+                type: op.type,
+                before: old ? old.text : null,
+                after: current ? current.text : null,
+                beforePage: old ? old.pageNumber : null,
+                afterPage: current ? current.pageNumber : null
+            };
+            if (op.type === 'changed') line.words = diffWords(old.text, current.text);
+
+            if (!pages.has(pageNumber)) pages.set(pageNumber, []);
+            pages.get(pageNumber).push(line);
+        }
+
+        return [...pages.entries()]
+            .filter(([, lines]) => lines.some(line => line.type !== 'same'))
+            .map(([number, lines]) => ({
+                pageNumber: number,
+                beforePageNumbers: [...new Set(lines.map(line => line.beforePage).filter(page => page !== null))],
+                added: lines.filter(line => line.type === 'added').length,
+                removed: lines.filter(line => line.type === 'removed').length,
+                changed: lines.filter(line => line.type === 'changed').length,
+                lines: withContext(lines)
+            }));
+    }
+
+    // The reconstructed tables of a result, in page order
+    function documentTables(result) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const tables = [];
+        for (const page of result.pages) {
+            for (const table of TableDetection.detectTables(page)) {
+                tables.push({ pageNumber: page.pageNumber, rows: table.rows.map(cells => cells.map(normalize)) });
+            }
+        }
+        return tables;
+    }
+
+    const sameRow = (x, y) => x.length === y.length && x.every((cell, index) => cell === y[index]);
+
+    // Rows with the same first cell (a date, an employee, an account) are
+    // the same row with other values
+    function isSameRecord(x, y) {
+        const key = cells => cells.find(cell => cell !== '') || '';
+        return (key(x) !== '' && key(x) === key(y)) || similarity(x, y) >= SIMILARITY;
+    }
+
+    function diffTable(before, after) {
+        const a = before ? before.rows : [];
+        const b = after ? after.rows : [];
+        const columns = Math.max(0, ...a.map(cells => cells.length), ...b.map(cells => cells.length));
+        const cell = (cells, index) => (cells && cells[index] !== undefined ? cells[index] : '');
+        const ops = pairChanges(diffSequences(a, b, sameRow), (i, j) => isSameRecord(a[i], b[j]));
+
+        const rows = ops.map((op) => {
+            const old = op.before === undefined ? null : a[op.before];
+            const current = op.after === undefined ? null : b[op.after];
+            return {
+                type: op.type,
+                beforeRow: old ? op.before + 1 : null,
+                afterRow: current ? op.after + 1 : null,
+                cells: Array.from({ length: columns }, (_, index) => ({
+                    before: old ? cell(old, index) : null,
+                    after: current ? cell(current, index) : null,
+                    changed: op.type === 'changed' && cell(old, index) !== cell(current, index)
+                }))
+            };
+        });
+
+        return {
+            beforePage: before ? before.pageNumber : null,
+            afterPage: after ? after.pageNumber : null,
+            columns,
+            rows,
+            addedRows: rows.filter(row => row.type === 'added').length,
+            removedRows: rows.filter(row => row.type === 'removed').length,
+            changedCells: rows.reduce((total, row) => total + row.cells.filter(entry => entry.changed).length, 0)
+        };
+    }
+
+    /**
+     * Pair the tables of both documents (same header first, else by
+     * position) and diff each pair cell by cell.
+     */
+    async function diffTables(before, after, signal) {
+        const a = documentTables(before);
+        const b = documentTables(after);
+        const header = table => table.rows[0];
+        const ops = pairChanges(
+            diffSequences(a, b, (x, y) => x.rows.length === y.rows.length && x.rows.every((row, index) => sameRow(row, y.rows[index]))),
+            (i, j) => sameRow(header(a[i]), header(b[j])) || a[i].rows[0].length === b[j].rows[0].length
+        );
+
+        const tables = [];
+        for (const [index, op] of ops.entries()) {
+            await checkpoint(signal);
+            tables.push({
+                index: index + 1,
+                type: op.type,
+                ...diffTable(op.before === undefined ? null : a[op.before], op.after === undefined ? null : b[op.after])
+            });
+        }
+        return tables;
+    }
+
+    function describeDocument(result) {
+        return {
+            fileName: result.fileName || '',
+            pageCount: result.pageCount,
+            pageNumbers: result.pageNumbers,
+            pageRange: result.pageRange || ''
+        };
+    }
+
+    /**
+     * Compare two extraction results. options.tables adds the table diff
+     * (for the Smart Columns and Payroll exports). Aborting options.signal
+     * rejects with CANCELLED.
+     *
+     * Resolves with { before, after, comparedAt, summary, pages, tables }. pages
+     * lists only the pages with changes; their lines are
+     * { type: 'same' | 'added' | 'removed' | 'changed', before, after,
+     * beforePage, afterPage, words } with long unchanged runs collapsed to
+     * { type: 'skipped', count }. tables is null without options.tables.
+     */
+    async function compare(before, after, options = {}) {
+        const { signal } = options;
+        const pages = await diffText(before, after, signal);
+        const tables = options.tables ? await diffTables(before, after, signal) : null;
+        const total = key => pages.reduce((sum, page) => sum + page[key], 0);
+        const changedTables = tables ? tables.filter(table => table.type !== 'same') : [];
+
+        const summary = {
+            added: total('added'),
+            removed: total('removed'),
+            changed: total('changed'),
+            changedPages: pages.map(page => page.pageNumber),
+            tables: tables && {
+                compared: tables.length,
+                changed: changedTables.length,
+                addedRows: changedTables.reduce((sum, table) => sum + table.addedRows, 0),
+                removedRows: changedTables.reduce((sum, table) => sum + table.removedRows, 0),
+                changedCells: changedTables.reduce((sum, table) => sum + table.changedCells, 0)
+            }
+        };
+        summary.identical = pages.length === 0 && changedTables.length === 0;
+
+        return {
+            before: describeDocument(before),
+            after: describeDocument(after),
+            comparedAt: new Date().toISOString(),
+            summary,
+            pages,
+            tables
+        };
+    }
+
+    function plural(count, word) {
+        return `${count} ${count === 1 ? word : `${word}s`}`;
+    }
+
+    // "a, b and c"
+    function joinList(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+    }
+
+    // "3 changed and 2 added lines on 2 pages; 4 changed cells and 1 added row in 1 table."
+    function describeSummary(diff) {
+        const { summary } = diff;
+        if (summary.identical) return 'No differences found.';
+
+        const parts = [];
+        const lines = [
+            summary.changed && `${summary.changed} changed`,
+            summary.added && `${summary.added} added`,
+            summary.removed && `${summary.removed} removed`
+        ].filter(Boolean);
+        if (lines.length > 0) {
+            const count = summary.changed + summary.added + summary.removed;
+            parts.push(`${joinList(lines)} ${count === 1 ? 'line' : 'lines'} on ${plural(summary.changedPages.length, 'page')}`);
+        }
+
+        const tables = summary.tables;
+        if (tables && tables.changed > 0) {
+            const changes = [
+                tables.changedCells && plural(tables.changedCells, 'changed cell'),
+                tables.addedRows && plural(tables.addedRows, 'added row'),
+                tables.removedRows && plural(tables.removedRows, 'removed row')
+            ].filter(Boolean);
+            // Tables that only appear in one of the documents
+            const description = changes.length > 0 ? joinList(changes) : 'changes';
+            parts.push(`${description} in ${plural(tables.changed, 'table')}`);
+        }
+        return `${parts.join('; ')}.`;
+    }
+
+    function renderWords(parts) {
+        return parts.map((part) => {
+            if (part.type === 'added') return `<ins>${escapeHtml(part.text)}</ins>`;
+            if (part.type === 'removed') return `<del>${escapeHtml(part.text)}</del>`;
+            return escapeHtml(part.text);
+        }).join(' ');
+    }
+
+    function renderLine(line) {
+        switch (line.type) {
+            case 'skipped':
+                return `<tr class="diff-skipped"><td></td><td>${plural(line.count, 'unchanged line')}</td></tr>`;
+            case 'added':
+                return `<tr class="diff-added"><td>+</td><td><ins>${escapeHtml(line.after)}</ins></td></tr>`;
+            case 'removed':
+                return `<tr class="diff-removed"><td>&minus;</td><td><del>${escapeHtml(line.before)}</del></td></tr>`;
+            case 'changed':
+                return `<tr class="diff-changed"><td>~</td><td>${renderWords(line.words)}</td></tr>`;
+            default:
+                return `<tr class="diff-same"><td></td><td>${escapeHtml(line.after)}</td></tr>`;
+        }
+    }
+
+    function renderPage(page) {
+        const PageRange = getModule('PageRange', './page-range.js');
+        const moved = page.beforePageNumbers.length > 0 &&
+            (page.beforePageNumbers.length > 1 || page.beforePageNumbers[0] !== page.pageNumber);
+        const origin = moved
+            ? ` <small>(${page.beforePageNumbers.length === 1 ? 'page' : 'pages'} ${PageRange.format(page.beforePageNumbers)} before)</small>`
+            : '';
+        return `<h3>Page ${page.pageNumber}${origin}</h3>
+<table class="diff-lines">
+${page.lines.map(renderLine).join('\n')}
+</table>`;
+    }
+
+    function renderCell(entry, rowType) {
+        if (entry.changed) {
+            const old = entry.before ? `<del>${escapeHtml(entry.before)}</del>` : '';
+            const current = entry.after ? `<ins>${escapeHtml(entry.after)}</ins>` : '';
+            return `<td class="diff-cell-changed">${[old, current].filter(Boolean).join(' ')}</td>`;
+        }
+        return `<td>${escapeHtml(rowType === 'removed' ? entry.before : entry.after)}</td>`;
+    }
+
+    function renderTable(table) {
+        const pages = table.type === 'removed'
+            ? `page ${table.beforePage} before`
+            : `page ${table.afterPage}`;
+        const status = table.type === 'same' ? 'no changes' : CHANGE_LABELS[table.type].toLowerCase();
+        const heading = `<h3>Table ${table.index} <small>(${pages}, ${status})</small></h3>`;
+        if (table.type === 'same') return heading;
+
+        const rows = table.rows.map(row =>
+            `<tr class="diff-${row.type}">${row.cells.map(entry => renderCell(entry, row.type)).join('')}</tr>`);
+        return `${heading}
+<table class="diff-table">
+${rows.join('\n')}
+</table>`;
+    }
+
+    /**
+     * The report body as an HTML fragment: summary, text changes by page
+     * and, when compared, the tables. Shared by the page and toHTML().
+     */
+    function renderReport(diff) {
+        const parts = [`<p class="diff-summary">${escapeHtml(describeSummary(diff))}</p>`];
+
+        if (diff.pages.length > 0) {
+            parts.push('<h2>Text</h2>', ...diff.pages.map(renderPage));
+        }
+        if (diff.tables) {
+            parts.push('<h2>Tables</h2>');
+            parts.push(diff.tables.length > 0
+                ? diff.tables.map(renderTable).join('\n')
+                : '<p>No tables were found in either document.</p>');
+        }
+
+        return parts.join('\n');
+    }
+
+    function toHTML(diff) {
+        const title = `${escapeHtml(diff.before.fileName || 'Before')} vs ${escapeHtml(diff.after.fileName || 'After')}`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 64rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; width: 100%; }
+td { padding: 0.125rem 0.5rem; vertical-align: top; }
+.diff-table td { border: 1px solid #d1d5db; }
+.diff-lines td:first-child { width: 1.5rem; color: #6b7280; text-align: center; }
+.diff-added { background: #ecfdf5; }
+.diff-removed { background: #fef2f2; }
+.diff-changed, .diff-cell-changed { background: #fffbeb; }
+.diff-skipped td { color: #6b7280; font-style: italic; }
+ins { background: #bbf7d0; text-decoration: none; }
+del { background: #fecaca; }
+small { color: #6b7280; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p><small>Compared ${escapeHtml(new Date(diff.comparedAt).toLocaleString())}</small></p>
+${renderReport(diff)}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * The report as a workbook: a Summary sheet, every changed line and,
+     * when compared, every changed table cell and row.
+     */
+    function buildWorkbook(diff) {
+        const ExcelExport = getModule('ExcelExport', './excel-export.js');
+        const XLSX = ExcelExport.getXLSX();
+        const workbook = XLSX.utils.book_new();
+        const { summary } = diff;
+
+        const summaryRows = [
+            ['Property', 'Value'],
+            ['Before', diff.before.fileName],
+            ['After', diff.after.fileName],
+            ['Pages compared (before)', diff.before.pageNumbers.length],
+            ['Pages compared (after)', diff.after.pageNumbers.length],
+            ['Compared at', new Date(diff.comparedAt)],
+            ['Result', describeSummary(diff)],
+            ['Changed lines', summary.changed],
+            ['Added lines', summary.added],
+            ['Removed lines', summary.removed],
+            ['Pages with changes', summary.changedPages.join(', ') || 'None']
+        ];
+        if (summary.tables) {
+            summaryRows.push(
+                ['Tables compared', summary.tables.compared],
+                ['Tables with changes', summary.tables.changed],
+                ['Changed cells', summary.tables.changedCells],
+                ['Added rows', summary.tables.addedRows],
+                ['Removed rows', summary.tables.removedRows]
+            );
+        }
+        ExcelExport.appendSheet(workbook, 'Summary', summaryRows, [24, 60]);
+
+        const textRows = [['Page', 'Page before', 'Change', 'Before', 'After']];
+        for (const page of diff.pages) {
+            for (const line of page.lines) {
+                if (line.type === 'same' || line.type === 'skipped') continue;
+                textRows.push([page.pageNumber, line.beforePage || '', CHANGE_LABELS[line.type], line.before || '', line.after || '']);
+            }
+        }
+        ExcelExport.appendSheet(workbook, 'Text Changes', textRows, [8, 12, 10, 60, 60]);
+
+        if (diff.tables) {
+            const tableRows = [['Table', 'Page', 'Row', 'Column', 'Change', 'Before', 'After']];
+            for (const table of diff.tables) {
+                for (const row of table.rows) {
+                    if (row.type === 'same') continue;
+                    const page = row.type === 'removed' ? table.beforePage : table.afterPage;
+                    const number = row.type === 'removed' ? row.beforeRow : row.afterRow;
+                    if (row.type === 'changed') {
+                        row.cells.forEach((entry, column) => {
+                            if (entry.changed) {
+                                tableRows.push([table.index, page, number, column + 1, 'Changed', entry.before, entry.after]);
+                            }
+                        });
+                        continue;
+                    }
+                    const values = row.cells.map(entry => (row.type === 'removed' ? entry.before : entry.after));
+                    tableRows.push([
+                        table.index, page, number, '', CHANGE_LABELS[row.type],
+                        row.type === 'removed' ? values.join(' | ') : '',
+                        row.type === 'added' ? values.join(' | ') : ''
+                    ]);
+                }
+            }
+            ExcelExport.appendSheet(workbook, 'Table Changes', tableRows, [8, 8, 8, 8, 10, 40, 40]);
+        }
+
+        return workbook;
+    }
+
+    // "march.pdf" against "april.pdf" is "march_vs_april_comparison.html"
+    function outputFileName(diff, format) {
+        const base = fileName => (fileName || 'document.pdf').replace(/\.pdf$/i, '');
+        return `${base(diff.before.fileName)}_vs_${base(diff.after.fileName)}_comparison.${format}`;
+    }
+
+    const DocumentDiff = {
+        diffSequences,
+        pairChanges,
+        diffWords,
+        compare,
+        describeSummary,
+        renderReport,
+        toHTML,
+        buildWorkbook,
+        outputFileName
+    };
+
+    root.DocumentDiff = DocumentDiff;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DocumentDiff;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
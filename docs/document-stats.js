@@ -0,0 +1,129 @@
+/**
+ * BlockCell PDF Extractor - Document Statistics
+ * Word and character counts for an extraction and a quality check that
+ * flags pages with little or garbled text
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Pages with fewer visible characters than this hold little text
+    const LOW_TEXT_CHARACTERS = 50;
+
+    // Share of replacement, private-use and control characters that marks
+    // text whose font has no usable character mapping
+    const MAX_GARBLED_SHARE = 0.05;
+
+    // Share of letter runs without a vowel above which text is gibberish,
+    // checked once a page has enough runs to judge
+    const MAX_VOWELLESS_SHARE = 0.5;
+    const MIN_RUNS_TO_JUDGE = 10;
+
+    // OCR pages below this mean confidence are flagged
+    const LOW_OCR_CONFIDENCE = 60;
+
+    const GARBLED_PATTERN = /[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+    const ISSUES = {
+        'no-text': 'No text',
+        'little-text': 'Little text',
+        'garbled-text': 'Garbled text',
+        'low-ocr-confidence': 'Low OCR confidence'
+    };
+
+    // Issues that make a page's text unusable rather than just suspect
+    const POOR_ISSUES = ['no-text', 'garbled-text'];
+
+    function countWords(text) {
+        return text.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+    }
+
+    function countCharacters(text) {
+        return text.replace(/\s/g, '').length;
+    }
+
+    function looksGarbled(text, characters) {
+        const garbled = (text.match(GARBLED_PATTERN) || []).length;
+        if (garbled / characters > MAX_GARBLED_SHARE) return true;
+
+        const runs = text.match(/[A-Za-z]{3,}/g) || [];
+        if (runs.length < MIN_RUNS_TO_JUDGE) return false;
+        const vowelless = runs.filter(run => !/[aeiouy]/i.test(run)).length;
+        return vowelless / runs.length > MAX_VOWELLESS_SHARE;
+    }
+
+    /**
+     * Rate an extracted page: level is 'good', 'fair' (suspect) or 'poor'
+     * (unusable) and issues lists the codes of ISSUES that apply.
+     */
+    function assessPage(page) {
+        const characters = countCharacters(page.text);
+        const issues = [];
+
+        if (characters === 0) {
+            issues.push('no-text');
+        } else {
+            if (characters < LOW_TEXT_CHARACTERS) issues.push('little-text');
+            if (looksGarbled(page.text, characters)) issues.push('garbled-text');
+        }
+        if (page.ocr && page.ocr.confidence < LOW_OCR_CONFIDENCE) issues.push('low-ocr-confidence');
+
+        const level = issues.length === 0 ? 'good'
+            : issues.some(issue => POOR_ISSUES.includes(issue)) ? 'poor'
+                : 'fair';
+
+        return { level, words: countWords(page.text), characters, issues };
+    }
+
+    /**
+     * Totals over the extracted pages. characters leaves out whitespace.
+     */
+    function summarize(pages) {
+        return pages.reduce((totals, page) => {
+            totals.words += countWords(page.text);
+            totals.characters += countCharacters(page.text);
+            return totals;
+        }, { pages: pages.length, words: 0, characters: 0 });
+    }
+
+    /**
+     * Fonts used on the extracted pages, by name without the subset prefix
+     * ("ABCDEF+Helvetica" is listed as Helvetica).
+     */
+    function listFonts(pages) {
+        const names = new Set();
+        for (const page of pages) {
+            for (const font of Object.values(page.fonts || {})) {
+                if (font.name) names.add(font.name.replace(/^[A-Z]{6}\+/, ''));
+            }
+        }
+        return [...names].sort((a, b) => a.localeCompare(b));
+    }
+
+    function describeIssue(issue, page) {
+        if (issue === 'low-ocr-confidence' && page && page.ocr) {
+            return `${ISSUES[issue]} (${page.ocr.confidence}%)`;
+        }
+        return ISSUES[issue] || issue;
+    }
+
+    const DocumentStats = {
+        ISSUES,
+        LOW_TEXT_CHARACTERS,
+        countWords,
+        countCharacters,
+        assessPage,
+        summarize,
+        listFonts,
+        describeIssue
+    };
+
+    root.DocumentStats = DocumentStats;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DocumentStats;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,343 @@
+/**
+ * BlockCell PDF Extractor - Excel Export
+ * Builds .xlsx workbooks from extraction results with SheetJS
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const SHEET_NAME_LIMIT = 31;
+
+    const FORMAT_LABELS = {
+        'text': 'Text Only',
+        'excel-simple': 'Excel - Simple Layout',
+        'excel-structured': 'Excel - Smart Columns',
+        'excel-payroll': 'Excel - Payroll Analysis'
+    };
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function getXLSX() {
+        if (root.XLSX) return root.XLSX;
+        if (typeof require === 'function') return require('xlsx');
+        throw new Error('SheetJS is not loaded.');
+    }
+
+    /**
+     * Make a sheet name Excel accepts: no []:*?/\ characters, at most 31
+     * characters and unique within the workbook.
+     */
+    function uniqueSheetName(workbook, name) {
+        const base = name.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, SHEET_NAME_LIMIT) || 'Sheet';
+        let candidate = base;
+        let counter = 2;
+
+        while (workbook.SheetNames.includes(candidate)) {
+            const suffix = ` (${counter++})`;
+            candidate = base.slice(0, SHEET_NAME_LIMIT - suffix.length) + suffix;
+        }
+
+        return candidate;
+    }
+
+    function appendSheet(workbook, name, rows, columnWidths) {
+        const XLSX = getXLSX();
+        const sheet = XLSX.utils.aoa_to_sheet(rows, { dateNF: 'yyyy-mm-dd hh:mm:ss' });
+        if (columnWidths) {
+            sheet['!cols'] = columnWidths.map(wch => ({ wch }));
+        }
+        XLSX.utils.book_append_sheet(workbook, sheet, uniqueSheetName(workbook, name));
+        return sheet;
+    }
+
+    // "2 (95%), 3 (88%)": pages read by OCR with their confidence
+    function describeOCRPages(result) {
+        const pages = result.pages.filter(page => page.ocr);
+        if (pages.length === 0) return 'None';
+        return pages.map(page => `${page.pageNumber} (${page.ocr.confidence}%)`).join(', ');
+    }
+
+    function addDocumentSheet(workbook, result, options) {
+        const security = result.security || {};
+        const rows = [
+            ['Property', 'Value'],
+            ['File name', result.fileName || ''],
+            ['Pages in document', result.pageCount],
+            ['Pages extracted', result.pageNumbers.length],
+            ['Page range', result.pageRange || 'All pages'],
+            ['OCR pages', describeOCRPages(result)],
+            ['Extracted at', result.extractedAt ? new Date(result.extractedAt) : ''],
+            ['Processing time (s)', result.durationMs ? +(result.durationMs / 1000).toFixed(2) : ''],
+            ['Export format', FORMAT_LABELS[options.format] || options.format || ''],
+            ['Encrypted', security.encrypted ? 'Yes' : 'No'],
+            ['Restrictions', (security.restrictions || []).join(', ') || 'None']
+        ];
+
+        appendSheet(workbook, 'Document', rows, [24, 60]);
+    }
+
+    function addPageSheets(workbook, result) {
+        for (const page of result.pages) {
+            const rows = page.lines.length > 0
+                ? page.lines.map(line => [line.text])
+                : [['(no text on this page)']];
+            appendSheet(workbook, `Page ${page.pageNumber}`, rows, [120]);
+        }
+    }
+
+    /**
+     * Turn table text into cell values, keeping amounts as real numbers.
+     */
+    function toCellValue(text) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const number = TableDetection.parseNumber(text);
+        if (number === null) return text;
+        return { t: 'n', v: number, z: /\.\d/.test(text) ? '#,##0.00' : '#,##0' };
+    }
+
+    function addTableSheets(workbook, result) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        let tableCount = 0;
+
+        for (const page of result.pages) {
+            for (const table of TableDetection.detectTables(page)) {
+                tableCount++;
+                const rows = table.rows.map(cells => cells.map(toCellValue));
+                const widths = table.rows[0].map((_, column) =>
+                    Math.min(60, Math.max(10, ...table.rows.map(cells => cells[column].length + 2))));
+                appendSheet(workbook, `Table ${tableCount} (p${page.pageNumber})`, rows, widths);
+            }
+        }
+
+        // Keep the text reachable when no table could be reconstructed
+        if (tableCount === 0) {
+            addPageSheets(workbook, result);
+        }
+    }
+
+    function moneyCell(value, formula) {
+        const cell = { t: 'n', v: value === null ? 0 : value, z: '#,##0.00' };
+        if (formula) cell.f = formula;
+        return value === null && !formula ? '' : cell;
+    }
+
+    /**
+     * Payroll workbook: one detail row per employee, a totals sheet with
+     * live SUM formulas and the rows that do not reconcile.
+     */
+    function addPayrollSheets(workbook, result) {
+        const XLSX = getXLSX();
+        const PayrollParser = getModule('PayrollParser', './payroll-parser.js');
+        const payroll = PayrollParser.parse(result);
+        const { employees } = payroll;
+
+        if (employees.length === 0) {
+            appendSheet(workbook, 'Payroll', [
+                ['No pay stubs or payroll registers were recognized in the selected pages.'],
+                ['The extracted text is included on the page sheets that follow.']
+            ], [90]);
+            addPageSheets(workbook, result);
+            return;
+        }
+
+        const taxLabels = [...new Set(employees.flatMap(employee => Object.keys(employee.taxes)))];
+        const deductionLabels = [...new Set(employees.flatMap(employee => Object.keys(employee.deductions)))];
+        const infoHeaders = ['Employee ID', 'Employee Name', 'Pay Period', 'Pay Date', 'Pages'];
+        const amountHeaders = ['Gross Pay', ...taxLabels, ...deductionLabels, 'Total Deductions', 'Net Pay', 'Difference'];
+        const col = index => XLSX.utils.encode_col(index);
+        const grossCol = infoHeaders.length;
+        const firstDeductionCol = grossCol + 1;
+        const totalCol = firstDeductionCol + taxLabels.length + deductionLabels.length;
+        const netCol = totalCol + 1;
+        const differenceCol = netCol + 1;
+        const lastRow = employees.length + 1;
+
+        const detailRows = [[...infoHeaders, ...amountHeaders]];
+        employees.forEach((employee, index) => {
+            const row = index + 2;
+            const total = PayrollParser.totalDeductions(employee);
+            const deductionRange = `${col(firstDeductionCol)}${row}:${col(totalCol - 1)}${row}`;
+            const difference = employee.grossPay === null || employee.netPay === null
+                ? null
+                : Math.round((employee.netPay - (employee.grossPay - total)) * 100) / 100;
+
+            detailRows.push([
+                employee.employeeId,
+                employee.employeeName,
+                employee.payPeriod,
+                employee.payDate,
+                employee.pageNumbers.join(', '),
+                moneyCell(employee.grossPay),
+                ...taxLabels.map(label => moneyCell(label in employee.taxes ? employee.taxes[label] : null)),
+                ...deductionLabels.map(label => moneyCell(label in employee.deductions ? employee.deductions[label] : null)),
+                moneyCell(total, totalCol > firstDeductionCol ? `SUM(${deductionRange})` : null),
+                moneyCell(employee.netPay),
+                moneyCell(difference, `${col(netCol)}${row}-(${col(grossCol)}${row}-${col(totalCol)}${row})`)
+            ]);
+        });
+
+        const detail = appendSheet(workbook, 'Employee Detail', detailRows,
+            [...infoHeaders.map(() => 16), ...amountHeaders.map(header => Math.max(12, header.length + 2))]);
+        detail['!autofilter'] = { ref: `A1:${col(differenceCol)}${lastRow}` };
+        const detailName = workbook.SheetNames[workbook.SheetNames.length - 1];
+
+        const totalRows = [['Item', 'Total'], ['Employees', employees.length]];
+        for (let index = grossCol; index <= netCol; index++) {
+            const range = `'${detailName}'!${col(index)}2:${col(index)}${lastRow}`;
+            const value = detailRows.slice(1).reduce((sum, row) => sum + (row[index] ? row[index].v : 0), 0);
+            totalRows.push([detailRows[0][index], moneyCell(Math.round(value * 100) / 100, `SUM(${range})`)]);
+        }
+        appendSheet(workbook, 'Totals', totalRows, [28, 16]);
+
+        const exceptionRows = [[
+            'Employee ID', 'Employee Name', 'Pages', 'Gross Pay', 'Total Deductions', 'Net Pay', 'Expected Net', 'Difference', 'Issue'
+        ]];
+        for (const entry of payroll.discrepancies) {
+            const { employee } = entry;
+            exceptionRows.push([
+                employee.employeeId,
+                employee.employeeName,
+                employee.pageNumbers.join(', '),
+                moneyCell(employee.grossPay),
+                moneyCell(entry.totalDeductions),
+                moneyCell(employee.netPay),
+                moneyCell(entry.expectedNet),
+                moneyCell(entry.difference),
+                entry.difference === null
+                    ? 'Gross or net pay not found'
+                    : 'Gross minus deductions does not equal net pay'
+            ]);
+        }
+        if (exceptionRows.length === 1) {
+            exceptionRows.push(['All employees reconcile: gross pay minus deductions equals net pay.']);
+        }
+        appendSheet(workbook, 'Exceptions', exceptionRows, [14, 24, 8, 12, 16, 12, 14, 12, 44]);
+    }
+
+    /**
+     * Form fields as a key/value sheet and annotations one per row, for
+     * results extracted with form fields and annotations.
+     */
+    function addFormSheets(workbook, result) {
+        const FormExtraction = getModule('FormExtraction', './form-extraction.js');
+        if (!FormExtraction.hasFormData(result)) return;
+
+        const fieldRows = [['Field', 'Value', 'Type', 'Page']];
+        const annotationRows = [['Page', 'Type', 'Text', 'Comment', 'Author', 'Link', 'Modified']];
+
+        for (const page of result.pages) {
+            for (const field of page.formFields || []) {
+                fieldRows.push([field.name, FormExtraction.formatValue(field), FormExtraction.describeFieldType(field.type), page.pageNumber]);
+            }
+            for (const annotation of page.annotations || []) {
+                const link = annotation.url
+                    || (annotation.destination ? `Page ${annotation.destination}` : '');
+                annotationRows.push([
+                    page.pageNumber,
+                    annotation.type,
+                    annotation.text || '',
+                    annotation.contents,
+                    annotation.author,
+                    link,
+                    annotation.modified ? new Date(annotation.modified) : ''
+                ]);
+            }
+        }
+
+        if (fieldRows.length === 1) fieldRows.push(['No form fields were found on the extracted pages.']);
+        if (annotationRows.length === 1) annotationRows.push(['No comments, markup or links were found on the extracted pages.']);
+        appendSheet(workbook, 'Form Fields', fieldRows, [32, 40, 14, 8]);
+        appendSheet(workbook, 'Annotations', annotationRows, [8, 12, 40, 40, 20, 40, 20]);
+    }
+
+    // Page sheet builders keyed by export format
+    const LAYOUTS = {
+        'excel-simple': addPageSheets,
+        'excel-structured': addTableSheets,
+        'excel-payroll': addPayrollSheets
+    };
+
+    function buildWorkbook(result, options = {}) {
+        const XLSX = getXLSX();
+        const workbook = XLSX.utils.book_new();
+        const addLayout = LAYOUTS[options.format] || LAYOUTS['excel-simple'];
+
+        addDocumentSheet(workbook, result, options);
+        addLayout(workbook, result, options);
+        addFormSheets(workbook, result);
+
+        return workbook;
+    }
+
+    /**
+     * Build one workbook for a batch: a "Files" summary sheet followed by
+     * one sheet per source file with its text, page by page.
+     */
+    function buildCombinedWorkbook(results) {
+        const XLSX = getXLSX();
+        const workbook = XLSX.utils.book_new();
+        const summary = [];
+
+        // Added first so it opens as the first tab; filled in below
+        const filesSheet = appendSheet(workbook, 'Files',
+            [['File name', 'Sheet', 'Pages in document', 'Pages extracted', 'Page range', 'Extracted at']],
+            [40, 32, 18, 16, 16, 22]);
+
+        for (const result of results) {
+            const rows = [['Page', 'Text']];
+            for (const page of result.pages) {
+                const lines = page.lines.length > 0 ? page.lines : [{ text: '(no text on this page)' }];
+                for (const line of lines) {
+                    rows.push([page.pageNumber, line.text]);
+                }
+            }
+
+            const baseName = (result.fileName || 'Document').replace(/\.pdf$/i, '');
+            const sheetName = uniqueSheetName(workbook, baseName);
+            appendSheet(workbook, sheetName, rows, [8, 120]);
+            summary.push([
+                result.fileName || '',
+                sheetName,
+                result.pageCount,
+                result.pageNumbers.length,
+                result.pageRange || 'All pages',
+                result.extractedAt ? new Date(result.extractedAt) : ''
+            ]);
+        }
+
+        XLSX.utils.sheet_add_aoa(filesSheet, summary, { origin: -1, dateNF: 'yyyy-mm-dd hh:mm:ss' });
+
+        return workbook;
+    }
+
+    /**
+     * Serialize a workbook to the bytes of an .xlsx file.
+     */
+    function writeWorkbook(workbook) {
+        const XLSX = getXLSX();
+        return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    }
+
+    const ExcelExport = {
+        MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        getXLSX,
+        uniqueSheetName,
+        appendSheet,
+        buildWorkbook,
+        buildCombinedWorkbook,
+        writeWorkbook
+    };
+
+    root.ExcelExport = ExcelExport;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ExcelExport;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,188 @@
+/**
+ * BlockCell PDF Extractor - Extraction Client
+ * Main-thread front end for extraction-worker.js. Falls back to running the
+ * extraction core in the page when workers are unavailable (e.g. file://)
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class ExtractionClient {
+    constructor(workerUrl = 'extraction-worker.js') {
+        this.worker = null;
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.ready = this.startWorker(workerUrl);
+    }
+
+    /**
+     * Resolves to true once the worker has loaded its scripts, or to false
+     * when extraction has to stay on the main thread.
+     */
+    startWorker(workerUrl) {
+        if (typeof Worker === 'undefined') return Promise.resolve(false);
+
+        return new Promise((resolve) => {
+            let worker;
+            try {
+                worker = new Worker(workerUrl);
+            } catch (error) {
+                resolve(false);
+                return;
+            }
+
+            worker.addEventListener('message', (event) => {
+                if (event.data.type === 'ready') {
+                    this.worker = worker;
+                    resolve(true);
+                    return;
+                }
+                this.handleMessage(event.data);
+            });
+
+            worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                if (!this.worker) {
+                    worker.terminate();
+                    resolve(false);
+                    return;
+                }
+                this.failAll(new Error(event.message || 'The extraction worker stopped unexpectedly.'));
+            });
+        });
+    }
+
+    /**
+     * Extract a File. Accepts the same options as PDFExtractionCore.extractFile,
+     * including signal, onProgress and onPage.
+     */
+    async extract(file, options = {}) {
+        const { signal, onProgress, onPage, ...workerOptions } = options;
+
+        if (!(await this.ready)) {
+            return PDFExtractionCore.extractFile(file, options);
+        }
+
+        const data = await file.arrayBuffer();
+        return this.request(
+            { type: 'extract', data, fileName: file.name, options: workerOptions, streamPages: Boolean(onPage) },
+            [data],
+            { signal, onProgress, onPage }
+        );
+    }
+
+    /**
+     * Build an .xlsx workbook for a result and resolve with its bytes.
+     */
+    async exportWorkbook(result, options = {}) {
+        if (!(await this.ready)) {
+            return ExcelExport.writeWorkbook(ExcelExport.buildWorkbook(result, options));
+        }
+
+        return this.request({ type: 'export', result, options });
+    }
+
+    /**
+     * Build one .xlsx workbook covering several results (batch downloads).
+     */
+    async exportCombinedWorkbook(results) {
+        if (!(await this.ready)) {
+            return ExcelExport.writeWorkbook(ExcelExport.buildCombinedWorkbook(results));
+        }
+
+        return this.request({ type: 'export-combined', results });
+    }
+
+    /**
+     * Compare two extraction results; see DocumentDiff.compare. Aborting
+     * options.signal rejects with CANCELLED.
+     */
+    async compare(before, after, options = {}) {
+        if (!(await this.ready)) {
+            return DocumentDiff.compare(before, after, options);
+        }
+
+        const { signal, ...compareOptions } = options;
+        return this.request({ type: 'compare', before, after, options: compareOptions }, [], { signal });
+    }
+
+    /**
+     * Build the .xlsx workbook of a comparison report.
+     */
+    async exportComparisonWorkbook(diff) {
+        if (!(await this.ready)) {
+            return ExcelExport.writeWorkbook(DocumentDiff.buildWorkbook(diff));
+        }
+
+        return this.request({ type: 'export-comparison', diff });
+    }
+
+    request(message, transfer = [], { signal, onProgress, onPage } = {}) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new PDFExtractionCore.ExtractionError('CANCELLED', 'Extraction was cancelled.'));
+                return;
+            }
+
+            const cancel = () => this.worker.postMessage({ type: 'cancel', id });
+            if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+            this.jobs.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                onPage,
+                cleanup: () => {
+                    if (signal) signal.removeEventListener('abort', cancel);
+                }
+            });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return;
+
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message.progress);
+            return;
+        }
+        if (message.type === 'page') {
+            if (job.onPage) job.onPage(message.page);
+            return;
+        }
+
+        this.jobs.delete(message.id);
+        job.cleanup();
+
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else if (message.type === 'error') {
+            job.reject(this.toError(message.error));
+        }
+    }
+
+    toError(error) {
+        if (error.code) {
+            return new PDFExtractionCore.ExtractionError(error.code, error.message);
+        }
+        const restored = new Error(error.message);
+        if (error.name) restored.name = error.name;
+        return restored;
+    }
+
+    failAll(error) {
+        for (const job of this.jobs.values()) {
+            job.cleanup();
+            job.reject(error);
+        }
+        this.jobs.clear();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtractionClient;
+}
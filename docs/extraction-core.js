@@ -0,0 +1,512 @@
+/**
+ * BlockCell PDF Extractor - Extraction Core
+ * DOM-free text extraction built on pdf.js, shared by every UI entry point
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Vertical distance (as a fraction of the font size) that starts a new line
+    const LINE_BREAK_TOLERANCE = 0.5;
+
+    // Horizontal gap (as a fraction of the font size) that is rendered as a space
+    const WORD_GAP_TOLERANCE = 0.2;
+
+    class ExtractionError extends Error {
+        constructor(code, message) {
+            super(message);
+            this.name = 'ExtractionError';
+            this.code = code;
+        }
+    }
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function getPdfjs() {
+        if (root.pdfjsLib) return root.pdfjsLib;
+        if (typeof require === 'function') {
+            return require('pdfjs-dist/legacy/build/pdf.js');
+        }
+        throw new Error('pdf.js is not loaded.');
+    }
+
+    async function readFile(file) {
+        if (typeof file.arrayBuffer === 'function') {
+            return new Uint8Array(await file.arrayBuffer());
+        }
+        return new Uint8Array(file);
+    }
+
+    // pdf.js permission flags and the restriction reported when one is missing
+    const RESTRICTIONS = [
+        ['PRINT', 'no-print'],
+        ['PRINT_HIGH_QUALITY', 'no-high-quality-print'],
+        ['COPY', 'no-copy'],
+        ['COPY_FOR_ACCESSIBILITY', 'no-accessibility-copy'],
+        ['MODIFY_CONTENTS', 'no-modify'],
+        ['MODIFY_ANNOTATIONS', 'no-annotate'],
+        ['FILL_INTERACTIVE_FORMS', 'no-fill-forms'],
+        ['ASSEMBLE', 'no-assemble']
+    ];
+
+    function cancelledError() {
+        return new ExtractionError('CANCELLED', 'Extraction was cancelled.');
+    }
+
+    function throwIfCancelled(signal) {
+        if (signal && signal.aborted) throw cancelledError();
+    }
+
+    async function openDocument(data, options = {}) {
+        const pdfjsLib = getPdfjs();
+        const { signal } = options;
+        throwIfCancelled(signal);
+
+        const params = {
+            data,
+            password: options.password || undefined,
+            isEvalSupported: false
+        };
+        // Off the main thread there is no document to load fonts into or to
+        // create canvases from; OCR renders pages there too
+        if (typeof document === 'undefined') params.disableFontFace = true;
+        if (root.OCREngine) params.canvasFactory = root.OCREngine.createCanvasFactory();
+        // Node.js reads the fonts and character maps shipped with pdfjs-dist
+        if (typeof process !== 'undefined' && process.versions && process.versions.node && typeof require === 'function') {
+            const distPath = require('path').dirname(require.resolve('pdfjs-dist/package.json'));
+            params.standardFontDataUrl = `${distPath}/standard_fonts/`;
+            params.cMapUrl = `${distPath}/cmaps/`;
+            params.cMapPacked = true;
+        }
+
+        const loadingTask = pdfjsLib.getDocument(params);
+        const cancel = () => loadingTask.destroy();
+        if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+        try {
+            return await loadingTask.promise;
+        } catch (error) {
+            await loadingTask.destroy();
+            throwIfCancelled(signal);
+
+            if (error && error.name === 'PasswordException') {
+                if (error.code === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD) {
+                    throw new ExtractionError('INCORRECT_PASSWORD', 'The password for this PDF is incorrect. Check it and try again.');
+                }
+                throw new ExtractionError('PASSWORD_REQUIRED', 'This PDF is password-protected. Enter its password and try again.');
+            }
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * Report whether the document is encrypted and which actions its
+     * permission flags forbid.
+     */
+    async function getSecurityInfo(pdf) {
+        const pdfjsLib = getPdfjs();
+        const [{ info }, permissions] = await Promise.all([
+            pdf.getMetadata(),
+            pdf.getPermissions()
+        ]);
+
+        const restrictions = permissions
+            ? RESTRICTIONS
+                .filter(([flag]) => !permissions.includes(pdfjsLib.PermissionFlag[flag]))
+                .map(([, restriction]) => restriction)
+            : [];
+
+        return {
+            encrypted: !!(info && info.EncryptFilterName),
+            encryptionFilter: (info && info.EncryptFilterName) || null,
+            restrictions
+        };
+    }
+
+    // Info dictionary keys and the XMP properties used when a key is missing
+    const METADATA_FIELDS = [
+        ['title', 'Title', 'dc:title'],
+        ['author', 'Author', 'dc:creator'],
+        ['subject', 'Subject', 'dc:description'],
+        ['keywords', 'Keywords', 'pdf:keywords'],
+        ['creator', 'Creator', 'xmp:creatortool'],
+        ['producer', 'Producer', 'pdf:producer']
+    ];
+
+    const METADATA_DATES = [
+        ['creationDate', 'CreationDate', 'xmp:createdate'],
+        ['modificationDate', 'ModDate', 'xmp:modifydate']
+    ];
+
+    function toISODate(value, pdfjsLib) {
+        if (!value) return null;
+        const date = /^D:/.test(value)
+            ? pdfjsLib.PDFDateString.toDateObject(value)
+            : new Date(value);
+        return date && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    /**
+     * Read the document's Info dictionary, falling back to its XMP metadata
+     * for fields the dictionary leaves empty. Dates are ISO 8601 strings.
+     */
+    async function getDocumentInfo(pdf) {
+        const pdfjsLib = getPdfjs();
+        const { info = {}, metadata } = await pdf.getMetadata();
+        const xmp = name => {
+            const value = metadata ? metadata.get(name) : null;
+            return Array.isArray(value) ? value.join(', ') : value;
+        };
+
+        const details = {};
+        for (const [field, key, property] of METADATA_FIELDS) {
+            const value = typeof info[key] === 'string' ? info[key].trim() : '';
+            details[field] = value || xmp(property) || null;
+        }
+        for (const [field, key, property] of METADATA_DATES) {
+            details[field] = toISODate(info[key], pdfjsLib) || toISODate(xmp(property), pdfjsLib);
+        }
+        details.pdfVersion = info.PDFFormatVersion || null;
+        details.hasXMP = !!metadata;
+
+        return details;
+    }
+
+    /**
+     * Convert a pdf.js text item into page coordinates with a top-left origin.
+     * rotation is the direction the text runs in, in degrees clockwise from
+     * left to right as the page is displayed.
+     */
+    function normalizeItem(item, viewport, pdfjsLib) {
+        const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+        const fontSize = Math.hypot(tx[2], tx[3]) || Math.abs(item.height) || 1;
+        const rotation = Math.round(Math.atan2(tx[1], tx[0]) * 180 / Math.PI);
+
+        return {
+            str: item.str,
+            x: tx[4],
+            y: tx[5] - fontSize,
+            baseline: tx[5],
+            width: item.width * viewport.scale,
+            height: fontSize,
+            fontName: item.fontName,
+            fontSize,
+            rotation: (rotation + 360) % 360,
+            hasEOL: !!item.hasEOL
+        };
+    }
+
+    /**
+     * Join text items into lines, breaking on explicit end-of-line markers or
+     * a change in baseline and inserting spaces where glyph runs are apart.
+     * Items are taken in the order given; text layer pages are put in
+     * reading order by LayoutAnalysis.orderLines instead.
+     */
+    function buildLines(items) {
+        const lines = [];
+        let current = null;
+        let previous = null;
+
+        for (const item of items) {
+            const startsLine = !current ||
+                previous.hasEOL ||
+                Math.abs(item.baseline - previous.baseline) > item.fontSize * LINE_BREAK_TOLERANCE;
+
+            if (startsLine) {
+                current = { text: '', items: [] };
+                lines.push(current);
+            } else {
+                const gap = item.x - (previous.x + previous.width);
+                const hasSpace = /\s$/.test(current.text) || /^\s/.test(item.str);
+                if (!hasSpace && gap > item.fontSize * WORD_GAP_TOLERANCE) {
+                    current.text += ' ';
+                }
+            }
+
+            current.text += item.str;
+            current.items.push(item);
+            previous = item;
+        }
+
+        return lines
+            .map(line => ({ ...line, text: line.text.replace(/\s+$/, '') }))
+            .filter(line => line.text.trim() !== '');
+    }
+
+    // Font names that mark a bold face when the font has no weight flag
+    const BOLD_FONT_NAME = /bold|black|heavy|semibold|demi/i;
+
+    /**
+     * Look up the fonts the page's text items use. pdf.js only resolves
+     * them once the operator list is loaded; faces it cannot read are left
+     * out, so callers treat unknown fonts as regular.
+     */
+    async function readFonts(page, items) {
+        const fonts = {};
+        const fontNames = [...new Set(items.map(item => item.fontName))];
+        if (fontNames.length === 0) return fonts;
+
+        await page.getOperatorList();
+        for (const fontName of fontNames) {
+            if (!page.commonObjs.has(fontName)) continue;
+            const font = page.commonObjs.get(fontName);
+            const name = font.name || '';
+            fonts[fontName] = {
+                name,
+                bold: !!(font.bold || font.black) || BOLD_FONT_NAME.test(name),
+                italic: !!font.italic || /italic|oblique/i.test(name)
+            };
+        }
+        return fonts;
+    }
+
+    /**
+     * Extract one page. With an OCR session (see createOCRSession) pages
+     * without a text layer are recognized instead; their result carries
+     * ocr: { confidence } and onOCR is called before recognition starts.
+     * fonts maps each text layer fontName to { name, bold, italic }. With
+     * options.images the page's raster images are added as images (see
+     * ImageExtraction.extractImages), with options.forms its formFields and
+     * annotations (see FormExtraction.readPage).
+     */
+    async function extractPage(pdf, pageNumber, options = {}) {
+        const pdfjsLib = getPdfjs();
+        const { ocr: session, onOCR } = options;
+        const page = await pdf.getPage(pageNumber);
+
+        try {
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+            let items = content.items
+                .filter(item => typeof item.str === 'string' && (item.str !== '' || item.hasEOL))
+                .map(item => normalizeItem(item, viewport, pdfjsLib));
+            let ocr = null;
+
+            if (session && await session.needsOCR(page, items)) {
+                if (onOCR) onOCR();
+                const recognized = await recognizePage(session, page, pageNumber);
+                // Keep the text layer when forced OCR reads nothing
+                if (recognized.items.length > 0 || items.length === 0) {
+                    items = recognized.items;
+                    ocr = { confidence: recognized.confidence };
+                }
+            }
+
+            // Tesseract already reads columns in order
+            const lines = ocr
+                ? buildLines(items)
+                : getModule('LayoutAnalysis', './layout-analysis.js').orderLines(items);
+            const fonts = ocr ? {} : await readFonts(page, items);
+
+            const extracted = {
+                pageNumber,
+                width: viewport.width,
+                height: viewport.height,
+                rotation: viewport.rotation,
+                items,
+                lines,
+                text: lines.map(line => line.text).join('\n'),
+                fonts,
+                ocr
+            };
+
+            if (options.images) {
+                extracted.images = await getModule('ImageExtraction', './image-extraction.js').extractImages(page);
+            }
+            if (options.forms) {
+                Object.assign(extracted, await getModule('FormExtraction', './form-extraction.js').readPage(pdf, page, extracted));
+            }
+            return extracted;
+        } finally {
+            page.cleanup();
+        }
+    }
+
+    async function recognizePage(session, page, pageNumber) {
+        try {
+            return await session.recognize(page);
+        } catch (error) {
+            if (error instanceof ExtractionError) throw error;
+            throw new ExtractionError('OCR_FAILED', `Could not read page ${pageNumber} with OCR: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start OCR for options.ocr: 'auto' (default) recognizes pages without a
+     * text layer, 'force' every page and 'off' none. Auto quietly does
+     * without OCR where the engine cannot run; force reports it.
+     */
+    function createOCRSession(options) {
+        const mode = options.ocr || 'auto';
+        if (mode === 'off') return null;
+
+        let OCREngine = null;
+        try {
+            OCREngine = getModule('OCREngine', './ocr-engine.js');
+        } catch (error) {
+            OCREngine = null;
+        }
+
+        if (!OCREngine || !OCREngine.isAvailable()) {
+            if (mode === 'force') {
+                throw new ExtractionError('OCR_UNAVAILABLE', 'OCR is not available here. Set OCR to Automatic or Off and try again.');
+            }
+            return null;
+        }
+
+        return OCREngine.createSession({ mode, signal: options.signal });
+    }
+
+    function formatPagesAsText(pages) {
+        return pages
+            .map(page => {
+                const label = page.ocr
+                    ? `Page ${page.pageNumber} (OCR, ${page.ocr.confidence}% confidence)`
+                    : `Page ${page.pageNumber}`;
+                return `--- ${label} ---\n\n${page.text}`;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Resolve the requested page range against the document's page count.
+     */
+    function resolvePages(pdf, pageRange) {
+        const PageRange = getModule('PageRange', './page-range.js');
+        const selection = PageRange.parse(pageRange, pdf.numPages);
+
+        if (!selection.valid) {
+            throw new ExtractionError('INVALID_PAGE_RANGE', selection.message);
+        }
+
+        return selection;
+    }
+
+    /**
+     * Extract the selected pages in order. onProgress is called before each
+     * page, again when a page goes to OCR, and once at the end with
+     * { pageNumber, stage, completed, total, elapsedMs, remainingMs }; stage
+     * is 'text' or 'ocr' and remainingMs is null until a page is done.
+     * options.images also pulls each page's raster images, options.forms
+     * its form fields and annotations. options.removeHeaders drops running
+     * headers, footers and page numbers (see LayoutAnalysis.removeRunningLines)
+     * once every page is read, so pages passed to onPage still have them.
+     * onPage is called with each page as soon as it is extracted.
+     */
+    async function extractDocument(pdf, options = {}) {
+        const PageRange = getModule('PageRange', './page-range.js');
+        const DocumentStats = getModule('DocumentStats', './document-stats.js');
+        const { signal, onProgress, onPage } = options;
+        const selection = resolvePages(pdf, options.pageRange);
+        const pageNumbers = selection.pages;
+        const pages = [];
+        const startedAt = Date.now();
+
+        const report = (pageNumber, stage = 'text') => {
+            if (!onProgress) return;
+            const completed = pages.length;
+            const elapsedMs = Date.now() - startedAt;
+            const remainingMs = completed > 0
+                ? Math.round(elapsedMs / completed * (pageNumbers.length - completed))
+                : null;
+            onProgress({ pageNumber, stage, completed, total: pageNumbers.length, elapsedMs, remainingMs });
+        };
+
+        const ocr = createOCRSession(options);
+        try {
+            for (const pageNumber of pageNumbers) {
+                throwIfCancelled(signal);
+                report(pageNumber);
+                const page = await extractPage(pdf, pageNumber, {
+                    ocr,
+                    images: options.images,
+                    forms: options.forms,
+                    onOCR: () => report(pageNumber, 'ocr')
+                });
+                page.quality = DocumentStats.assessPage(page);
+                pages.push(page);
+                if (onPage) onPage(page);
+            }
+        } finally {
+            if (ocr) await ocr.terminate();
+        }
+        throwIfCancelled(signal);
+        report(null);
+
+        if (options.removeHeaders) {
+            getModule('LayoutAnalysis', './layout-analysis.js').removeRunningLines(pages);
+        }
+
+        const metadata = await getDocumentInfo(pdf);
+        metadata.fonts = DocumentStats.listFonts(pages);
+
+        return {
+            pageCount: pdf.numPages,
+            metadata,
+            statistics: DocumentStats.summarize(pages),
+            security: await getSecurityInfo(pdf),
+            pageNumbers,
+            pageRange: selection.all ? '' : PageRange.format(pageNumbers),
+            pages,
+            text: formatPagesAsText(pages)
+        };
+    }
+
+    /**
+     * Read a File (or raw bytes), extract it and release the pdf.js document.
+     * Aborting options.signal stops the extraction and releases the document
+     * straight away; the returned promise then rejects with CANCELLED.
+     */
+    async function extractFile(file, options = {}) {
+        const { signal } = options;
+        const startedAt = Date.now();
+        const data = await readFile(file);
+        const pdf = await openDocument(data, options);
+        const release = () => pdf.destroy();
+        if (signal) signal.addEventListener('abort', release, { once: true });
+
+        try {
+            const result = await extractDocument(pdf, options);
+            result.fileName = file.name || '';
+            result.extractedAt = new Date().toISOString();
+            result.durationMs = Date.now() - startedAt;
+            return result;
+        } catch (error) {
+            throwIfCancelled(signal);
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', release);
+            await pdf.destroy();
+        }
+    }
+
+    const PDFExtractionCore = {
+        ExtractionError,
+        getPdfjs,
+        readFile,
+        openDocument,
+        getSecurityInfo,
+        getDocumentInfo,
+        resolvePages,
+        extractPage,
+        extractDocument,
+        extractFile,
+        buildLines,
+        formatPagesAsText
+    };
+
+    root.PDFExtractionCore = PDFExtractionCore;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PDFExtractionCore;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,130 @@
+/**
+ * BlockCell PDF Extractor - Extraction Worker
+ * Runs pdf.js parsing, document comparison and SheetJS workbook building
+ * off the main thread.
+ *
+ * Messages in:  { type: 'extract', id, data, fileName, options }
+ *               { type: 'export', id, result, options }
+ *               { type: 'export-combined', id, results }
+ *               { type: 'compare', id, before, after, options }
+ *               { type: 'export-comparison', id, diff }
+ *               { type: 'cancel', id }
+ * Messages out: { type: 'ready' }
+ *               { type: 'progress', id, progress }
+ *               { type: 'result', id, result }
+ *               { type: 'error', id, error: { name, code, message } }
+ */
+
+// Loading pdf.worker alongside pdf.js makes pdf.js parse on this thread
+// instead of spawning a nested worker. The libraries are the ones
+// index.html loads from vendor/
+importScripts(
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/xlsx/xlsx.full.min.js',
+    'vendor/tesseract/tesseract.min.js',
+    'page-range.js',
+    'document-stats.js',
+    'ocr-engine.js',
+    'layout-analysis.js',
+    'extraction-core.js',
+    'image-extraction.js',
+    'form-extraction.js',
+    'table-detection.js',
+    'payroll-parser.js',
+    'excel-export.js',
+    'document-diff.js'
+);
+
+const controllers = new Map();
+
+function serializeError(error) {
+    return {
+        name: error && error.name,
+        code: error && error.code,
+        message: (error && error.message) || 'Extraction failed.'
+    };
+}
+
+async function runExtraction(message) {
+    const controller = new AbortController();
+    controllers.set(message.id, controller);
+
+    // Pages are only posted one by one when the page asked for them
+    const onPage = message.streamPages
+        ? (page) => self.postMessage({ type: 'page', id: message.id, page })
+        : undefined;
+
+    try {
+        const result = await PDFExtractionCore.extractFile(message.data, {
+            ...message.options,
+            signal: controller.signal,
+            onProgress: (progress) => {
+                self.postMessage({ type: 'progress', id: message.id, progress });
+            },
+            onPage
+        });
+        result.fileName = message.fileName;
+        self.postMessage({ type: 'result', id: message.id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, error: serializeError(error) });
+    } finally {
+        controllers.delete(message.id);
+    }
+}
+
+async function runComparison(message) {
+    const controller = new AbortController();
+    controllers.set(message.id, controller);
+
+    try {
+        const diff = await DocumentDiff.compare(message.before, message.after, {
+            ...message.options,
+            signal: controller.signal
+        });
+        self.postMessage({ type: 'result', id: message.id, result: diff });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, error: serializeError(error) });
+    } finally {
+        controllers.delete(message.id);
+    }
+}
+
+function runExport(message) {
+    try {
+        const workbook = {
+            'export': () => ExcelExport.buildWorkbook(message.result, message.options),
+            'export-combined': () => ExcelExport.buildCombinedWorkbook(message.results),
+            'export-comparison': () => DocumentDiff.buildWorkbook(message.diff)
+        }[message.type]();
+        const data = ExcelExport.writeWorkbook(workbook);
+        self.postMessage({ type: 'result', id: message.id, result: data }, [data]);
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, error: serializeError(error) });
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'extract':
+            runExtraction(message);
+            break;
+        case 'export':
+        case 'export-combined':
+        case 'export-comparison':
+            runExport(message);
+            break;
+        case 'compare':
+            runComparison(message);
+            break;
+        case 'cancel': {
+            const controller = controllers.get(message.id);
+            if (controller) controller.abort();
+            break;
+        }
+    }
+});
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,270 @@
+/**
+ * BlockCell PDF Extractor - Form Extraction
+ * Reads fillable form fields and annotations (comments, text markup with
+ * the text it covers, hyperlinks) from the pages of a PDF
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Annotation subtypes that are read and the type they are reported as
+    const ANNOTATION_TYPES = {
+        Text: 'comment',
+        FreeText: 'comment',
+        Highlight: 'highlight',
+        Underline: 'underline',
+        StrikeOut: 'strikeout',
+        Squiggly: 'squiggly',
+        Link: 'link'
+    };
+
+    const MARKUP_TYPES = ['highlight', 'underline', 'strikeout', 'squiggly'];
+
+    const FIELD_TYPES = {
+        text: 'Text',
+        checkbox: 'Checkbox',
+        radio: 'Radio buttons',
+        dropdown: 'Dropdown',
+        list: 'List',
+        signature: 'Signature'
+    };
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function getPdfjs() {
+        return getModule('PDFExtractionCore', './extraction-core.js').getPdfjs();
+    }
+
+    // Coordinates are kept to a hundredth of a point
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * A PDF rectangle as { x, y, width, height } on the page as displayed:
+     * points from the top-left corner, after rotation.
+     */
+    function toBounds(rect, viewport) {
+        const { Util } = getPdfjs();
+        const [x1, y1, x2, y2] = Util.normalizeRect(viewport.convertToViewportRectangle(rect));
+        return { x: round(x1), y: round(y1), width: round(x2 - x1), height: round(y2 - y1) };
+    }
+
+    function toISODate(value) {
+        if (!value) return null;
+        const date = getPdfjs().PDFDateString.toDateObject(value);
+        return date ? date.toISOString() : null;
+    }
+
+    function choiceLabel(annotation, value) {
+        const option = (annotation.options || []).find(candidate => candidate.exportValue === value);
+        return option ? option.displayValue : value;
+    }
+
+    /**
+     * Describe a widget annotation as a form field, or null for widgets
+     * that hold no value (push buttons).
+     */
+    function readField(annotation) {
+        const { fieldType, fieldValue } = annotation;
+
+        if (fieldType === 'Tx') {
+            return { type: 'text', value: fieldValue || '' };
+        }
+        if (fieldType === 'Btn') {
+            if (annotation.checkBox) {
+                return { type: 'checkbox', value: fieldValue !== 'Off' && fieldValue === annotation.exportValue };
+            }
+            if (annotation.radioButton) {
+                return {
+                    type: 'radio',
+                    value: fieldValue && fieldValue !== 'Off' ? fieldValue : null,
+                    options: [annotation.buttonValue]
+                };
+            }
+            return null;
+        }
+        if (fieldType === 'Ch') {
+            const selected = (Array.isArray(fieldValue) ? fieldValue : [fieldValue])
+                .filter(value => value !== null && value !== undefined && value !== '')
+                .map(value => choiceLabel(annotation, value));
+            return {
+                type: annotation.combo ? 'dropdown' : 'list',
+                value: annotation.multiSelect ? selected : (selected[0] || ''),
+                options: (annotation.options || []).map(option => option.displayValue)
+            };
+        }
+        if (fieldType === 'Sig') {
+            return { type: 'signature', value: null };
+        }
+        return null;
+    }
+
+    /**
+     * Snap a character offset to the nearest word boundary within a few
+     * characters, since markup normally covers whole words.
+     */
+    function snapToWord(text, offset, direction) {
+        const isBoundary = index => index <= 0 || index >= text.length
+            || (/\s/.test(text[index - 1]) !== /\s/.test(text[index]));
+        for (let distance = 0; distance <= 2; distance++) {
+            for (const index of [offset - distance * direction, offset + distance * direction]) {
+                if (index >= 0 && index <= text.length && isBoundary(index)) return index;
+            }
+        }
+        return offset;
+    }
+
+    /**
+     * The text under an annotation's quads. Runs are cut where a quad
+     * starts or ends inside them, assuming evenly wide characters.
+     */
+    function coveredText(quads, page, viewport) {
+        const parts = [];
+
+        for (const quad of quads) {
+            const xs = quad.map(point => point.x);
+            const ys = quad.map(point => point.y);
+            const box = toBounds([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)], viewport);
+            const words = [];
+
+            for (const line of page.lines) {
+                for (const item of line.items) {
+                    const middle = item.y + item.height / 2;
+                    if (middle < box.y || middle > box.y + box.height) continue;
+                    if (item.x + item.width <= box.x || item.x >= box.x + box.width) continue;
+
+                    const characterWidth = item.width / Math.max(1, item.str.length);
+                    const start = Math.max(0, Math.round((box.x - item.x) / characterWidth));
+                    const end = Math.min(item.str.length, Math.round((box.x + box.width - item.x) / characterWidth));
+                    const text = item.str.slice(snapToWord(item.str, start, -1), snapToWord(item.str, end, 1)).trim();
+                    if (text) words.push(text);
+                }
+            }
+            if (words.length > 0) parts.push(words.join(' '));
+        }
+        return parts.join(' ');
+    }
+
+    // Page number an internal link points at, or null
+    async function resolveDestination(pdf, dest) {
+        try {
+            const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+            if (!Array.isArray(explicit)) return null;
+            const target = explicit[0];
+            if (Number.isInteger(target)) return target + 1;
+            return await pdf.getPageIndex(target) + 1;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function readAnnotation(annotation, type, pdf, extractedPage, viewport) {
+        const entry = {
+            type,
+            bbox: toBounds(annotation.rect, viewport),
+            contents: annotation.contentsObj ? annotation.contentsObj.str : '',
+            author: annotation.titleObj ? annotation.titleObj.str : '',
+            modified: toISODate(annotation.modificationDate)
+        };
+
+        if (MARKUP_TYPES.includes(type)) {
+            entry.text = annotation.quadPoints ? coveredText(annotation.quadPoints, extractedPage, viewport) : '';
+        }
+        if (type === 'link') {
+            const [x1, y1, x2, y2] = annotation.rect;
+            entry.text = coveredText([[{ x: x1, y: y1 }, { x: x2, y: y2 }]], extractedPage, viewport);
+            entry.url = annotation.url || annotation.unsafeUrl || null;
+            entry.destination = annotation.dest ? await resolveDestination(pdf, annotation.dest) : null;
+        }
+        return entry;
+    }
+
+    /**
+     * Read the form fields and annotations of a pdf.js page. extractedPage
+     * is the page as returned by PDFExtractionCore.extractPage; its text
+     * gives markup annotations and links their covered text. Resolves with
+     * { formFields, annotations }: a field is { name, type, value, options?,
+     * bbox } with one entry per field name (radio buttons are merged), an
+     * annotation { type, bbox, contents, author, modified } plus the text
+     * it covers for markup and links, and url/destination (a page number)
+     * for links.
+     */
+    async function readPage(pdf, page, extractedPage) {
+        const viewport = page.getViewport({ scale: 1 });
+        const formFields = [];
+        const annotations = [];
+        const fieldsByName = new Map();
+
+        for (const annotation of await page.getAnnotations()) {
+            if (annotation.subtype === 'Widget') {
+                const field = annotation.fieldName && readField(annotation);
+                if (!field) continue;
+
+                const existing = fieldsByName.get(annotation.fieldName);
+                if (existing) {
+                    // Further widgets of one field: radio buttons add their option
+                    if (field.type === 'radio') existing.options.push(...field.options);
+                    continue;
+                }
+                const entry = { name: annotation.fieldName, ...field, bbox: toBounds(annotation.rect, viewport) };
+                fieldsByName.set(annotation.fieldName, entry);
+                formFields.push(entry);
+                continue;
+            }
+
+            const type = ANNOTATION_TYPES[annotation.subtype];
+            if (type) annotations.push(await readAnnotation(annotation, type, pdf, extractedPage, viewport));
+        }
+
+        return { formFields, annotations };
+    }
+
+    // Field value as spreadsheet text
+    function formatValue(field) {
+        if (field.type === 'checkbox') return field.value ? 'Checked' : 'Not checked';
+        if (field.type === 'signature') return '';
+        if (Array.isArray(field.value)) return field.value.join(', ');
+        return field.value === null ? '' : String(field.value);
+    }
+
+    function describeFieldType(type) {
+        return FIELD_TYPES[type] || type;
+    }
+
+    // Whether the result was extracted with form fields and annotations
+    function hasFormData(result) {
+        return result.pages.some(page => page.formFields);
+    }
+
+    function countFormData(result) {
+        return result.pages.reduce((counts, page) => {
+            counts.fields += page.formFields ? page.formFields.length : 0;
+            counts.annotations += page.annotations ? page.annotations.length : 0;
+            return counts;
+        }, { fields: 0, annotations: 0 });
+    }
+
+    const FormExtraction = {
+        ANNOTATION_TYPES,
+        readPage,
+        coveredText,
+        formatValue,
+        describeFieldType,
+        hasFormData,
+        countFormData
+    };
+
+    root.FormExtraction = FormExtraction;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FormExtraction;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,213 @@
+/**
+ * BlockCell PDF Extractor - Headless Extractor
+ * DOM-free extraction and export for Node.js scripts and the pdf-xtractor
+ * command line. It runs the same extraction core and exporters as the
+ * website, so a file converts the same way in both
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    // Export formats by id, built in or added with registerFormat
+    const FORMATS = {};
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function getCore() {
+        return getModule('PDFExtractionCore', './extraction-core.js');
+    }
+
+    /**
+     * Add an export format, or replace the one with the same id. definition
+     * is { label, suffix, mimeType, aliases, export(result) }; export returns
+     * (or resolves with) a string, Uint8Array or ArrayBuffer. suffix names
+     * the file, e.g. '_summary.csv' makes report.pdf report_summary.csv.
+     * export always runs where it is called; only the built-in Excel
+     * layouts are handed to the website's extraction worker.
+     */
+    function registerFormat(id, definition) {
+        if (!id || typeof id !== 'string') throw new TypeError('A format needs an id.');
+        if (!definition || typeof definition.export !== 'function') {
+            throw new TypeError(`Format "${id}" needs an export function.`);
+        }
+        if (typeof definition.suffix !== 'string') throw new TypeError(`Format "${id}" needs a file name suffix.`);
+
+        const aliases = (definition.aliases || []).map(alias => String(alias).toLowerCase());
+        for (const name of [id, ...aliases]) {
+            const owner = findFormat(name);
+            if (owner && owner !== id) throw new Error(`"${name}" is already used by format "${owner}".`);
+        }
+
+        FORMATS[id] = {
+            label: definition.label || id,
+            suffix: definition.suffix,
+            mimeType: definition.mimeType || 'application/octet-stream',
+            aliases,
+            workbook: false,
+            export: definition.export
+        };
+        return FORMATS[id];
+    }
+
+    // Every format as { id, label, suffix, mimeType, aliases }, in the order registered
+    function listFormats() {
+        return Object.keys(FORMATS).map(id => {
+            const { label, suffix, mimeType, aliases } = FORMATS[id];
+            return { id, label, suffix, mimeType, aliases: [...aliases] };
+        });
+    }
+
+    function findFormat(name) {
+        const key = String(name || '').toLowerCase();
+        return Object.keys(FORMATS).find(id => id.toLowerCase() === key || FORMATS[id].aliases.includes(key));
+    }
+
+    /**
+     * The format id for a format id or alias ('xlsx' is 'excel-simple').
+     * Throws UNKNOWN_FORMAT for anything else.
+     */
+    function resolveFormat(name) {
+        const format = findFormat(name);
+        if (format) return format;
+
+        const { ExtractionError } = getCore();
+        const known = Object.keys(FORMATS).flatMap(id => [id, ...FORMATS[id].aliases]);
+        throw new ExtractionError('UNKNOWN_FORMAT', `Unknown format "${name}". Use one of: ${known.join(', ')}.`);
+    }
+
+    // "report.pdf" becomes "report_extracted.xlsx", as on the website
+    function outputFileName(fileName, format) {
+        return fileName.replace(/\.pdf$/i, '') + FORMATS[resolveFormat(format)].suffix;
+    }
+
+    /**
+     * Extract a PDF given as bytes (Uint8Array, Buffer, ArrayBuffer), a
+     * File or, in Node.js, a file path. Takes the options of
+     * PDFExtractionCore.extractFile; the images format needs images: true.
+     */
+    async function extract(input, options = {}) {
+        if (typeof input === 'string') {
+            const fs = require('fs');
+            const path = require('path');
+            const data = new Uint8Array(await fs.promises.readFile(input));
+            const result = await getCore().extractFile(data, options);
+            result.fileName = path.basename(input);
+            return result;
+        }
+        return getCore().extractFile(input, options);
+    }
+
+    /**
+     * Convert an extraction result to one of FORMATS. Resolves with
+     * { name, data, mimeType }; data is a string for text formats and a
+     * Uint8Array otherwise.
+     */
+    async function exportResult(result, format) {
+        const id = resolveFormat(format);
+        const { mimeType } = FORMATS[id];
+        let data = await FORMATS[id].export(result);
+        if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+
+        return { name: outputFileName(result.fileName || 'document.pdf', id), data, mimeType };
+    }
+
+    /**
+     * Extract and export in one step. Resolves with { result, output }.
+     */
+    async function convert(input, options = {}) {
+        const format = resolveFormat(options.format || 'excel-simple');
+        const result = await extract(input, { ...options, images: options.images || format === 'images' });
+        return { result, output: await exportResult(result, format) };
+    }
+
+    // An Excel layout of excel-export.js, which the website builds in the worker
+    function registerWorkbook(id, definition) {
+        registerFormat(id, {
+            ...definition,
+            mimeType: XLSX_MIME_TYPE,
+            export: (result) => {
+                const ExcelExport = getModule('ExcelExport', './excel-export.js');
+                return ExcelExport.writeWorkbook(ExcelExport.buildWorkbook(result, { format: id }));
+            }
+        });
+        FORMATS[id].workbook = true;
+    }
+
+    // The website's formats, with shorter names for the command line
+    registerFormat('text', {
+        label: 'Text Only (.txt)',
+        suffix: '_extracted.txt',
+        mimeType: 'text/plain',
+        aliases: ['txt'],
+        export: result => result.text
+    });
+    registerFormat('markdown', {
+        label: 'Markdown (.md)',
+        suffix: '_extracted.md',
+        mimeType: 'text/markdown',
+        aliases: ['md'],
+        export: result => getModule('StructureExport', './structure-export.js').toMarkdown(result)
+    });
+    registerFormat('html', {
+        label: 'HTML (.html)',
+        suffix: '_extracted.html',
+        mimeType: 'text/html',
+        export: result => getModule('StructureExport', './structure-export.js').toHTML(result)
+    });
+    registerFormat('json-layout', {
+        label: 'JSON (layout)',
+        suffix: '_layout.json',
+        mimeType: 'application/json',
+        aliases: ['json'],
+        export: result => getModule('LayoutExport', './layout-export.js').toJSON(result)
+    });
+    registerWorkbook('excel-simple', {
+        label: 'Excel - Simple Layout',
+        suffix: '_extracted.xlsx',
+        aliases: ['xlsx']
+    });
+    registerWorkbook('excel-structured', {
+        label: 'Excel - Smart Columns',
+        suffix: '_extracted.xlsx',
+        aliases: ['xlsx-structured']
+    });
+    registerWorkbook('excel-payroll', {
+        label: 'Excel - Payroll Analysis',
+        suffix: '_extracted.xlsx',
+        aliases: ['xlsx-payroll']
+    });
+    registerFormat('images', {
+        label: 'Images (.zip)',
+        suffix: '_images.zip',
+        mimeType: 'application/zip',
+        aliases: ['zip'],
+        export: result => getModule('ZipArchive', './zip-archive.js')
+            .build(getModule('ImageExtraction', './image-extraction.js').buildArchiveFiles(result))
+    });
+
+    const HeadlessExtractor = {
+        FORMATS,
+        registerFormat,
+        listFormats,
+        resolveFormat,
+        outputFileName,
+        extract,
+        exportResult,
+        convert
+    };
+
+    root.HeadlessExtractor = HeadlessExtractor;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HeadlessExtractor;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,205 @@
+/**
+ * BlockCell PDF Extractor - History Panel
+ * Lists past extractions kept in this browser (see history-store.js) and
+ * lets the user reopen, re-download or delete them
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class HistoryPanel {
+    constructor() {
+        this.elements = {
+            card: document.getElementById('historyCard'),
+            list: document.getElementById('historyList'),
+            summary: document.getElementById('historySummary'),
+            limit: document.getElementById('historyLimit'),
+            clearAll: document.getElementById('clearHistoryBtn')
+        };
+
+        this.entries = [];
+        this.limit = this.loadLimit();
+
+        this.bindEvents();
+        if (this.elements.limit) this.elements.limit.value = this.limit;
+        this.refresh();
+    }
+
+    bindEvents() {
+        const { list, limit, clearAll } = this.elements;
+
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+                const id = Number(button.closest('.history-item').dataset.id);
+                if (button.dataset.action === 'delete') {
+                    this.remove(id);
+                } else {
+                    this.dispatch(button.dataset.action, id);
+                }
+            });
+        }
+
+        if (limit) limit.addEventListener('change', () => this.setLimit(Number(limit.value)));
+        if (clearAll) clearAll.addEventListener('click', () => this.clearAll());
+    }
+
+    loadLimit() {
+        try {
+            const stored = localStorage.getItem(HistoryPanel.LIMIT_KEY);
+            return stored === null ? HistoryStore.DEFAULT_LIMIT : Number(stored);
+        } catch (error) {
+            return HistoryStore.DEFAULT_LIMIT;
+        }
+    }
+
+    async setLimit(limit) {
+        const { limit: input } = this.elements;
+        if (!Number.isInteger(limit) || limit < 0) {
+            if (input) input.value = this.limit;
+            return;
+        }
+
+        this.limit = limit;
+        try {
+            localStorage.setItem(HistoryPanel.LIMIT_KEY, String(limit));
+        } catch (error) {
+            // Private browsing: keep the limit for this visit only
+        }
+        await HistoryStore.prune(limit);
+        this.refresh();
+    }
+
+    /**
+     * Keep a finished extraction. The PDF and its password are not stored;
+     * options should only hold the settings it was extracted with. A limit
+     * of 0 turns the history off. Resolves with the stored summary, or null
+     * when nothing was stored.
+     */
+    async save(file, options, result) {
+        if (!HistoryStore.isAvailable() || this.limit === 0) return null;
+
+        let summary = null;
+        try {
+            const hash = await HistoryStore.hashFile(file);
+            summary = await HistoryStore.add({ fileName: file.name, fileSize: file.size, hash, options }, result, this.limit);
+        } catch (error) {
+            // Storage full or blocked: the extraction itself is unaffected
+            console.warn('Could not save the extraction to history:', error);
+        }
+        this.refresh();
+        return summary;
+    }
+
+    // Store a new version of a saved extraction, e.g. with other values masked
+    async replaceResult(id, result) {
+        try {
+            await HistoryStore.replaceResult(id, result);
+        } catch (error) {
+            console.warn('Could not update the extraction in history:', error);
+        }
+    }
+
+    async refresh() {
+        const { card } = this.elements;
+        if (!card) return;
+        if (!HistoryStore.isAvailable()) {
+            card.hidden = true;
+            return;
+        }
+
+        try {
+            this.entries = await HistoryStore.list();
+        } catch (error) {
+            console.warn('Could not read the extraction history:', error);
+            this.entries = [];
+        }
+        this.render();
+        card.hidden = false;
+    }
+
+    render() {
+        const { list, summary, clearAll } = this.elements;
+
+        if (summary) {
+            summary.textContent = this.limit === 0
+                ? 'History is off. Set how many extractions to keep to turn it on.'
+                : this.entries.length === 0
+                    ? 'Your extractions will be listed here. They are kept in this browser only.'
+                    : `${this.entries.length} saved in this browser only`;
+        }
+        if (clearAll) clearAll.disabled = this.entries.length === 0;
+        if (!list) return;
+
+        const escape = value => String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        list.innerHTML = this.entries.map(entry => `
+            <li class="queue-item history-item" data-id="${entry.id}">
+                <div class="queue-item-main">
+                    <i class="fas fa-file-pdf"></i>
+                    <div class="queue-item-details">
+                        <span class="queue-item-name" title="${escape(entry.fileName)}">${escape(entry.fileName)}</span>
+                        <span class="queue-status">${escape(this.describe(entry))}</span>
+                    </div>
+                    <button class="btn-icon" data-action="open" title="Open">
+                        <i class="fas fa-folder-open"></i>
+                    </button>
+                    <button class="btn-icon" data-action="download" title="Download again">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn-icon" data-action="delete" title="Delete">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    describe(entry) {
+        const pages = entry.pagesExtracted === entry.pageCount
+            ? `${entry.pageCount} ${entry.pageCount === 1 ? 'page' : 'pages'}`
+            : `${entry.pagesExtracted} of ${entry.pageCount} pages`;
+        const savedAt = new Date(entry.savedAt).toLocaleString();
+        return `${savedAt} · ${pages} · ${entry.words.toLocaleString()} words`;
+    }
+
+    /**
+     * Hand a stored extraction to the page as blockcell:open-history or
+     * blockcell:download-history with detail { entry } (summary and result).
+     */
+    async dispatch(action, id) {
+        let entry;
+        try {
+            entry = await HistoryStore.get(id);
+        } catch (error) {
+            entry = null;
+        }
+        if (!entry) {
+            alert('This extraction is no longer in the history.');
+            this.refresh();
+            return;
+        }
+        document.dispatchEvent(new CustomEvent(`blockcell:${action}-history`, { detail: { entry } }));
+    }
+
+    async remove(id) {
+        await HistoryStore.remove(id);
+        this.refresh();
+    }
+
+    async clearAll() {
+        if (!confirm('Delete every saved extraction from this browser?')) return;
+        await HistoryStore.clear();
+        this.refresh();
+    }
+}
+
+// localStorage key for the number of extractions to keep
+HistoryPanel.LIMIT_KEY = 'blockcell-history-limit';
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryPanel;
+}
@@ -0,0 +1,190 @@
+/**
+ * BlockCell PDF Extractor - History Store
+ * Keeps past extractions in IndexedDB so they survive a reset or reload.
+ * Nothing is sent anywhere; the PDF itself and its password are not kept
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'blockcell-history';
+    const DB_VERSION = 1;
+
+    // Summaries are listed on their own so the panel never loads results
+    const ENTRIES = 'entries';
+    const RESULTS = 'results';
+
+    const DEFAULT_LIMIT = 20;
+
+    let databasePromise = null;
+
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase() {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const entries = db.createObjectStore(ENTRIES, { keyPath: 'id', autoIncrement: true });
+                    entries.createIndex('savedAt', 'savedAt');
+                    db.createObjectStore(RESULTS, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again, e.g. after storage was blocked
+            databasePromise.catch(() => {
+                databasePromise = null;
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Run work(stores) in one transaction and resolve with its result once
+     * the transaction has committed.
+     */
+    async function transact(mode, work) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([ENTRIES, RESULTS], mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            Promise.resolve(work({
+                entries: transaction.objectStore(ENTRIES),
+                results: transaction.objectStore(RESULTS)
+            })).then(value => {
+                result = value;
+            }, error => {
+                reject(error);
+                transaction.abort();
+            });
+        });
+    }
+
+    /**
+     * SHA-256 of the file as hex, or null where Web Crypto is unavailable
+     * (pages not served over HTTPS).
+     */
+    async function hashFile(file) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+        const data = typeof file.arrayBuffer === 'function' ? await file.arrayBuffer() : file;
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Store an extraction. entry is { fileName, fileSize, hash, options }
+     * and result the full extraction result, from which every export can be
+     * rebuilt. Entries beyond limit are removed, oldest first. Resolves with
+     * the stored summary.
+     */
+    async function add(entry, result, limit = DEFAULT_LIMIT) {
+        const summary = {
+            fileName: entry.fileName,
+            fileSize: entry.fileSize,
+            hash: entry.hash || null,
+            options: entry.options || {},
+            pageCount: result.pageCount,
+            pagesExtracted: result.pageNumbers.length,
+            words: result.statistics ? result.statistics.words : 0,
+            savedAt: new Date().toISOString()
+        };
+
+        const id = await transact('readwrite', async ({ entries, results }) => {
+            const key = await promisify(entries.add(summary));
+            await promisify(results.put({ id: key, result }));
+            return key;
+        });
+        summary.id = id;
+        await prune(limit);
+        return summary;
+    }
+
+    /**
+     * Replace the stored result of an entry, e.g. when its personal data
+     * masking changes. An entry removed in the meantime stays removed.
+     */
+    function replaceResult(id, result) {
+        return transact('readwrite', async ({ entries, results }) => {
+            if (!(await promisify(entries.get(id)))) return;
+            await promisify(results.put({ id, result }));
+        });
+    }
+
+    // Summaries, newest first
+    function list() {
+        return transact('readonly', ({ entries }) => promisify(entries.index('savedAt').getAll()))
+            .then(entries => entries.reverse());
+    }
+
+    // The summary with its result, or null when the entry is gone
+    function get(id) {
+        return transact('readonly', async ({ entries, results }) => {
+            const [summary, stored] = await Promise.all([
+                promisify(entries.get(id)),
+                promisify(results.get(id))
+            ]);
+            return summary && stored ? { ...summary, result: stored.result } : null;
+        });
+    }
+
+    function remove(id) {
+        return transact('readwrite', ({ entries, results }) => Promise.all([
+            promisify(entries.delete(id)),
+            promisify(results.delete(id))
+        ])).then(() => undefined);
+    }
+
+    function clear() {
+        return transact('readwrite', ({ entries, results }) => Promise.all([
+            promisify(entries.clear()),
+            promisify(results.clear())
+        ])).then(() => undefined);
+    }
+
+    /**
+     * Keep the newest limit entries and delete the rest.
+     */
+    async function prune(limit) {
+        const entries = await list();
+        for (const entry of entries.slice(Math.max(0, limit))) {
+            await remove(entry.id);
+        }
+    }
+
+    const HistoryStore = {
+        DEFAULT_LIMIT,
+        isAvailable,
+        hashFile,
+        add,
+        replaceResult,
+        list,
+        get,
+        remove,
+        clear,
+        prune
+    };
+
+    root.HistoryStore = HistoryStore;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HistoryStore;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
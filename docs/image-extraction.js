@@ -0,0 +1,271 @@
+/**
+ * BlockCell PDF Extractor - Image Extraction
+ * Pulls the raster images a page paints (charts, photos, scanned
+ * signatures) out of its pdf.js operator list as PNG files
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Images this small on both sides are spacers, bullets or rules
+    const MIN_IMAGE_SIZE = 16;
+
+    const MIME_TYPE = 'image/png';
+
+    // How long to wait for an image the pdf.js worker never delivers (a
+    // broken or unsupported stream) before leaving it out
+    const IMAGE_TIMEOUT = 10000;
+
+    // pdf.js ImageKind values for images delivered as raw pixels
+    const GRAYSCALE_1BPP = 1;
+    const RGB_24BPP = 2;
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    /**
+     * Walk the operator list and collect every image paint with the
+     * transformation in force, which maps the unit square onto the page.
+     * Image masks (stencils filled with the current colour) are left out.
+     */
+    function findImagePaints(operatorList, pdfjsLib) {
+        const { OPS, Util } = pdfjsLib;
+        const { fnArray, argsArray } = operatorList;
+        const paints = [];
+        const stack = [];
+        let transform = [1, 0, 0, 1, 0, 0];
+
+        for (let i = 0; i < fnArray.length; i++) {
+            const args = argsArray[i];
+
+            switch (fnArray[i]) {
+                case OPS.save:
+                    stack.push(transform);
+                    break;
+                case OPS.restore:
+                    transform = stack.pop() || transform;
+                    break;
+                case OPS.transform:
+                    transform = Util.transform(transform, args);
+                    break;
+                case OPS.paintFormXObjectBegin:
+                    stack.push(transform);
+                    if (args[0]) transform = Util.transform(transform, args[0]);
+                    break;
+                case OPS.paintFormXObjectEnd:
+                    transform = stack.pop() || transform;
+                    break;
+                case OPS.paintImageXObject:
+                    paints.push({ objId: args[0], transform });
+                    break;
+                case OPS.paintInlineImageXObject:
+                    paints.push({ image: args[0], transform });
+                    break;
+                case OPS.paintImageXObjectRepeat: {
+                    const [objId, scaleX, scaleY, positions] = args;
+                    for (let j = 0; j < positions.length; j += 2) {
+                        paints.push({
+                            objId,
+                            transform: Util.transform(transform, [scaleX, 0, 0, scaleY, positions[j], positions[j + 1]])
+                        });
+                    }
+                    break;
+                }
+            }
+        }
+        return paints;
+    }
+
+    // Image XObjects arrive from the pdf.js worker on their own; wait for
+    // them, and resolve with null for one that doesn't come
+    function resolveImage(page, objId) {
+        const objects = objId.startsWith('g_') ? page.commonObjs : page.objs;
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                console.warn(`Image ${objId} on page ${page.pageNumber} did not load; skipping it.`);
+                resolve(null);
+            }, IMAGE_TIMEOUT);
+            objects.get(objId, (image) => {
+                clearTimeout(timer);
+                resolve(image);
+            });
+        });
+    }
+
+    /**
+     * Where the image lands on the page as displayed: PDF points from the
+     * top-left corner, after rotation.
+     */
+    function imageBounds(transform, viewport, pdfjsLib) {
+        const { Util } = pdfjsLib;
+        const matrix = Util.transform(viewport.transform, transform);
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(point => Util.applyTransform(point, matrix));
+        const xs = corners.map(([x]) => x);
+        const ys = corners.map(([, y]) => y);
+        const round = value => Math.round(value * 100) / 100;
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+
+        return {
+            x: round(x),
+            y: round(y),
+            width: round(Math.max(...xs) - x),
+            height: round(Math.max(...ys) - y)
+        };
+    }
+
+    function toImageData(image, context) {
+        const { width, height, kind, data } = image;
+        const imageData = context.createImageData(width, height);
+        const pixels = imageData.data;
+
+        if (kind === GRAYSCALE_1BPP) {
+            // One bit per pixel, rows padded to whole bytes, 1 is white
+            const rowBytes = Math.ceil(width / 8);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const white = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+                    const offset = (y * width + x) * 4;
+                    pixels[offset] = pixels[offset + 1] = pixels[offset + 2] = white ? 255 : 0;
+                    pixels[offset + 3] = 255;
+                }
+            }
+        } else if (kind === RGB_24BPP) {
+            for (let source = 0, target = 0; target < pixels.length; source += 3, target += 4) {
+                pixels[target] = data[source];
+                pixels[target + 1] = data[source + 1];
+                pixels[target + 2] = data[source + 2];
+                pixels[target + 3] = 255;
+            }
+        } else {
+            pixels.set(data.subarray(0, pixels.length));
+        }
+        return imageData;
+    }
+
+    async function canvasToPNG(canvas) {
+        if (typeof canvas.convertToBlob === 'function') {
+            const blob = await canvas.convertToBlob({ type: MIME_TYPE });
+            return new Uint8Array(await blob.arrayBuffer());
+        }
+        if (typeof canvas.toBlob === 'function') {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, MIME_TYPE));
+            return new Uint8Array(await blob.arrayBuffer());
+        }
+        // node-canvas
+        return new Uint8Array(canvas.toBuffer(MIME_TYPE));
+    }
+
+    async function encodePNG(image, canvasFactory) {
+        const entry = canvasFactory.create(image.width, image.height);
+        try {
+            if (image.bitmap) {
+                entry.context.drawImage(image.bitmap, 0, 0);
+            } else {
+                entry.context.putImageData(toImageData(image, entry.context), 0, 0);
+            }
+            return await canvasToPNG(entry.canvas);
+        } finally {
+            canvasFactory.destroy(entry);
+        }
+    }
+
+    /**
+     * Extract the images painted on a pdf.js page, in painting order, as
+     * { index, width, height, bbox, mimeType, data }. width and height are
+     * the image's own pixels, bbox its place on the page (see imageBounds)
+     * and data the PNG bytes. An image painted twice is listed twice.
+     */
+    async function extractImages(page) {
+        const PDFExtractionCore = getModule('PDFExtractionCore', './extraction-core.js');
+        const OCREngine = getModule('OCREngine', './ocr-engine.js');
+        const pdfjsLib = PDFExtractionCore.getPdfjs();
+        const viewport = page.getViewport({ scale: 1 });
+        const paints = findImagePaints(await page.getOperatorList(), pdfjsLib);
+        const canvasFactory = OCREngine.createCanvasFactory();
+        const images = [];
+
+        for (const paint of paints) {
+            const image = paint.image || await resolveImage(page, paint.objId);
+            if (!image || !image.width || !image.height) continue;
+            if (image.width < MIN_IMAGE_SIZE && image.height < MIN_IMAGE_SIZE) continue;
+
+            images.push({
+                index: images.length + 1,
+                width: image.width,
+                height: image.height,
+                bbox: imageBounds(paint.transform, viewport, pdfjsLib),
+                mimeType: MIME_TYPE,
+                data: await encodePNG(image, canvasFactory)
+            });
+        }
+        return images;
+    }
+
+    // Zero-padded so the files sort by page and index
+    function imageFileName(pageNumber, index, pageCount) {
+        const page = String(pageNumber).padStart(String(pageCount).length, '0');
+        return `page-${page}-image-${String(index).padStart(2, '0')}.png`;
+    }
+
+    /**
+     * List the images of an extraction result for the ZIP download: one
+     * { name, data } per image plus manifest.json recording each file's
+     * source page, index, pixel size and position on the page.
+     */
+    function buildArchiveFiles(result) {
+        const files = [];
+        const images = [];
+
+        for (const page of result.pages) {
+            for (const image of page.images || []) {
+                const name = imageFileName(page.pageNumber, image.index, result.pageCount);
+                files.push({ name, data: image.data });
+                images.push({
+                    file: name,
+                    page: page.pageNumber,
+                    index: image.index,
+                    width: image.width,
+                    height: image.height,
+                    bbox: image.bbox
+                });
+            }
+        }
+
+        const manifest = {
+            fileName: result.fileName,
+            extractedAt: result.extractedAt,
+            units: 'pt',
+            origin: 'top-left',
+            images
+        };
+        files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+        return files;
+    }
+
+    function countImages(result) {
+        return result.pages.reduce((total, page) => total + (page.images ? page.images.length : 0), 0);
+    }
+
+    const ImageExtraction = {
+        MIME_TYPE,
+        MIN_IMAGE_SIZE,
+        findImagePaints,
+        extractImages,
+        imageFileName,
+        buildArchiveFiles,
+        countImages
+    };
+
+    root.ImageExtraction = ImageExtraction;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ImageExtraction;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,384 @@
+/**
+ * BlockCell PDF Extractor - Layout Analysis
+ * Puts a page's text in reading order: lines are rebuilt from where each
+ * text item sits, multi-column passages are read column by column and
+ * sideways text in its own direction. Also finds the running headers,
+ * footers and page numbers repeated from page to page
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Baselines closer than this (in font sizes) belong to the same line
+    const ROW_TOLERANCE = 0.5;
+
+    // Horizontal gap (in font sizes) that is rendered as a space
+    const WORD_GAP_TOLERANCE = 0.2;
+
+    // Horizontal gap (in font sizes) that separates blocks on a line, and
+    // the narrowest gutter between two columns
+    const SEGMENT_GAP = 1.0;
+
+    // Columns have text on at least this many lines on each side of the
+    // gutter, and (typically) at least this many words per line: prose
+    // rather than the cells of a table
+    const MIN_COLUMN_ROWS = 3;
+    const MIN_COLUMN_WORDS = 3;
+
+    // A blank space of more than this (in font sizes) between two lines
+    // ends a run of columns, so a footer far below isn't read as part of one
+    const COLUMN_BREAK = 4;
+
+    // Degrees from a multiple of 90 still read in that direction; text at
+    // other angles (diagonal watermarks) goes last, one item per line
+    const ANGLE_TOLERANCE = 10;
+
+    // Running headers and footers are among the first or last few lines
+    // of a page, within this share of its height from the edge
+    const RUNNING_LINES = 3;
+    const RUNNING_BAND = 0.15;
+    const MIN_RUNNING_PAGES = 3;
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // Unit vectors of text running `rotation` degrees clockwise (a multiple of 90)
+    function directionOf(rotation) {
+        const angle = rotation * Math.PI / 180;
+        return { cos: Math.round(Math.cos(angle)), sin: Math.round(Math.sin(angle)) };
+    }
+
+    /**
+     * Coordinates of an item as if its text ran left to right: x along the
+     * text, baseline across it. The item itself is kept as source.
+     */
+    function toFrame(item, rotation) {
+        const { cos, sin } = directionOf(rotation);
+        return {
+            source: item,
+            str: item.str,
+            x: item.x * cos + item.baseline * sin,
+            baseline: -item.x * sin + item.baseline * cos,
+            width: item.width,
+            fontSize: item.fontSize
+        };
+    }
+
+    /**
+     * Sort items by the direction their text runs in. The direction with
+     * the most text comes first; items at other angles come last under
+     * rotation null.
+     */
+    function groupByDirection(items) {
+        const groups = new Map();
+
+        for (const item of items) {
+            if (item.str.trim() === '') continue;
+            const rotation = item.rotation || 0;
+            const nearest = Math.round(rotation / 90) * 90;
+            const key = Math.abs(rotation - nearest) <= ANGLE_TOLERANCE ? nearest % 360 : null;
+            if (!groups.has(key)) groups.set(key, { rotation: key, items: [], length: 0 });
+            const group = groups.get(key);
+            group.items.push(item);
+            group.length += item.str.length;
+        }
+
+        return [...groups.values()].sort((a, b) =>
+            (a.rotation === null) - (b.rotation === null) || b.length - a.length);
+    }
+
+    function groupRows(items) {
+        const sorted = [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+        const rows = [];
+
+        for (const item of sorted) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(item.baseline - row.baseline) <= item.fontSize * ROW_TOLERANCE) {
+                row.items.push(item);
+                row.fontSize = Math.max(row.fontSize, item.fontSize);
+            } else {
+                rows.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+            }
+        }
+
+        rows.forEach(row => { row.items = dropOverprint(row.items.sort((a, b) => a.x - b.x)); });
+        return rows;
+    }
+
+    // Text drawn twice, slightly offset, to fake a bold face
+    function dropOverprint(items) {
+        return items.filter((item, index) => {
+            const previous = items[index - 1];
+            return !previous || previous.str !== item.str ||
+                Math.abs(item.x - previous.x) > item.fontSize * WORD_GAP_TOLERANCE;
+        });
+    }
+
+    // Blocks of a row separated by more than a word space
+    function segmentsOf(row) {
+        if (!row.segments) {
+            row.segments = [];
+            for (const item of row.items) {
+                const segment = row.segments[row.segments.length - 1];
+                if (segment && item.x - segment.right < item.fontSize * SEGMENT_GAP) {
+                    segment.right = Math.max(segment.right, item.x + item.width);
+                    segment.words += countWords(item.str);
+                } else {
+                    row.segments.push({ left: item.x, right: item.x + item.width, words: countWords(item.str) });
+                }
+            }
+        }
+        return row.segments;
+    }
+
+    function countWords(text) {
+        return (text.match(/\S+/g) || []).length;
+    }
+
+    /**
+     * Try a gutter at x: split the rows into runs of consecutive rows that
+     * no block crosses, and keep the runs that read as two columns of prose.
+     */
+    function findColumns(rows, x, gutter) {
+        const runs = [];
+        let current = [];
+
+        const close = () => {
+            if (isColumnRun(current, x)) runs.push(current);
+            current = [];
+        };
+
+        for (const row of rows) {
+            const crossed = segmentsOf(row).some(segment =>
+                segment.left < x + gutter / 2 && segment.right > x - gutter / 2);
+            const previous = current[current.length - 1];
+            if (previous && row.baseline - previous.baseline > row.fontSize * COLUMN_BREAK) close();
+            if (crossed) {
+                close();
+            } else {
+                current.push(row);
+            }
+        }
+        close();
+
+        return runs;
+    }
+
+    function isColumnRun(run, x) {
+        const sides = [[], []];
+        for (const row of run) {
+            const left = segmentsOf(row).filter(segment => segment.right <= x);
+            const right = segmentsOf(row).filter(segment => segment.left >= x);
+            if (left.length > 0) sides[0].push(left.reduce((sum, segment) => sum + segment.words, 0) / left.length);
+            if (right.length > 0) sides[1].push(right.reduce((sum, segment) => sum + segment.words, 0) / right.length);
+        }
+        return sides.every(words => words.length >= MIN_COLUMN_ROWS && isProse(words));
+    }
+
+    /**
+     * Whether lines with these word counts read as prose rather than the
+     * cells of a table. TableDetection asks the same of its columns.
+     */
+    function isProse(wordCounts) {
+        return median(wordCounts) >= MIN_COLUMN_WORDS;
+    }
+
+    /**
+     * The gutter that puts the most rows into columns. Gutters are tried
+     * just right of every block, so a ragged right edge finds its widest line.
+     */
+    function findGutter(rows) {
+        const gutter = median(rows.map(row => row.fontSize)) * SEGMENT_GAP;
+        const tried = new Set();
+        let best = null;
+
+        for (const row of rows) {
+            for (const segment of segmentsOf(row)) {
+                const x = segment.right + gutter / 2 + 0.01;
+                const key = Math.round(x);
+                if (tried.has(key)) continue;
+                tried.add(key);
+
+                const runs = findColumns(rows, x, gutter);
+                const score = runs.reduce((sum, run) => sum + run.length, 0);
+                if (score > 0 && (!best || score > best.score)) best = { x, runs, score };
+            }
+        }
+
+        return best;
+    }
+
+    function splitRow(row, x) {
+        const part = items => ({ baseline: row.baseline, fontSize: row.fontSize, items });
+        return [
+            part(row.items.filter(item => item.x + item.width / 2 < x)),
+            part(row.items.filter(item => item.x + item.width / 2 >= x))
+        ];
+    }
+
+    /**
+     * Rows in reading order. Where rows form columns, the left column is
+     * read to its end before the right one; the text above, between and
+     * below the columns is read in between. Columns are looked at again on
+     * their own, so three columns read as one and then two.
+     */
+    function orderRows(rows) {
+        if (rows.length < MIN_COLUMN_ROWS * 2) return rows;
+        const found = findGutter(rows);
+        if (!found) return rows;
+
+        const ordered = [];
+        let stretch = [];
+        const flush = () => {
+            if (stretch.length > 0) ordered.push(...orderRows(stretch));
+            stretch = [];
+        };
+
+        let index = 0;
+        for (const run of found.runs) {
+            const start = rows.indexOf(run[0]);
+            stretch.push(...rows.slice(index, start));
+            flush();
+
+            const halves = run.map(row => splitRow(row, found.x));
+            for (const side of [0, 1]) {
+                ordered.push(...orderRows(halves.map(parts => parts[side]).filter(part => part.items.length > 0)));
+            }
+            index = start + run.length;
+        }
+        stretch.push(...rows.slice(index));
+        flush();
+
+        return ordered;
+    }
+
+    function toLine(row) {
+        let text = '';
+        let previous = null;
+
+        for (const item of row.items) {
+            if (previous) {
+                const gap = item.x - (previous.x + previous.width);
+                const hasSpace = /\s$/.test(text) || /^\s/.test(item.str);
+                if (!hasSpace && gap > item.fontSize * WORD_GAP_TOLERANCE) text += ' ';
+            }
+            text += item.str;
+            previous = item;
+        }
+
+        return { text: text.replace(/\s+$/, ''), items: row.items.map(item => item.source) };
+    }
+
+    /**
+     * Join a page's text items (see PDFExtractionCore.normalizeItem, whose
+     * rotation gives the direction of the text) into lines in reading
+     * order. Returns [{ text, items }] like PDFExtractionCore.buildLines,
+     * each line's items ordered along the text.
+     */
+    function orderLines(items) {
+        const lines = [];
+
+        for (const group of groupByDirection(items)) {
+            if (group.rotation === null) {
+                group.items.forEach(item => lines.push({ text: item.str.trim(), items: [item] }));
+                continue;
+            }
+            const rows = groupRows(group.items.map(item => toFrame(item, group.rotation)));
+            orderRows(rows).forEach(row => lines.push(toLine(row)));
+        }
+
+        return lines.filter(line => line.text.trim() !== '');
+    }
+
+    // How far down the page a line sits (0 top, 1 bottom), read in the direction of its text
+    function relativePosition(line, page) {
+        const item = line.items[0];
+        const { cos, sin } = directionOf(Math.round((item.rotation || 0) / 90) * 90);
+        const across = (x, y) => -x * sin + y * cos;
+        const corners = [[0, 0], [page.width, 0], [0, page.height], [page.width, page.height]]
+            .map(([x, y]) => across(x, y));
+        const top = Math.min(...corners);
+        const bottom = Math.max(...corners);
+        return bottom > top ? (across(item.x, item.baseline) - top) / (bottom - top) : 0.5;
+    }
+
+    // Page numbers and dates change from page to page; the rest of a running line doesn't
+    function runningKey(text) {
+        return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Find the running headers and footers of extracted pages: lines among
+     * the first or last few of a page, near its top or bottom edge, that
+     * come back (numbers aside) on at least three pages, or on both pages
+     * of a two-page extraction. Returns, per page, [{ index, position }]
+     * with the line's index and position 'header' or 'footer'.
+     */
+    function findRunningLines(pages) {
+        const candidates = pages.map(page => page.lines.map((line, index) => {
+            if (line.items.length === 0) return null;
+            const position = relativePosition(line, page);
+            let place = null;
+            if (index < RUNNING_LINES && position <= RUNNING_BAND) {
+                place = 'header';
+            } else if (index >= page.lines.length - RUNNING_LINES && position >= 1 - RUNNING_BAND) {
+                place = 'footer';
+            }
+            return place && { index, position: place, key: `${place} ${runningKey(line.text)}` };
+        }).filter(Boolean));
+
+        const pagesByKey = new Map();
+        candidates.forEach((list, pageIndex) => list.forEach(({ key }) => {
+            if (!pagesByKey.has(key)) pagesByKey.set(key, new Set());
+            pagesByKey.get(key).add(pageIndex);
+        }));
+
+        const needed = pages.length === 2 ? 2 : MIN_RUNNING_PAGES;
+        return candidates.map(list => list
+            .filter(({ key }) => pagesByKey.get(key).size >= needed)
+            .map(({ index, position }) => ({ index, position })));
+    }
+
+    /**
+     * Drop the running headers and footers (see findRunningLines) from the
+     * pages' lines, items and text, so table detection doesn't see them
+     * either. What was dropped is kept on the page as runningLines:
+     * [{ position, text }].
+     */
+    function removeRunningLines(pages) {
+        const running = findRunningLines(pages);
+
+        pages.forEach((page, pageIndex) => {
+            if (running[pageIndex].length === 0) return;
+            const dropped = new Set(running[pageIndex].map(({ index }) => index));
+            page.runningLines = running[pageIndex].map(({ index, position }) => ({ position, text: page.lines[index].text }));
+            const droppedItems = new Set(page.lines
+                .filter((line, index) => dropped.has(index))
+                .flatMap(line => line.items));
+            page.lines = page.lines.filter((line, index) => !dropped.has(index));
+            page.items = page.items.filter(item => !droppedItems.has(item));
+            page.text = page.lines.map(line => line.text).join('\n');
+        });
+
+        return pages;
+    }
+
+    const LayoutAnalysis = {
+        orderLines,
+        isProse,
+        findRunningLines,
+        removeRunningLines
+    };
+
+    root.LayoutAnalysis = LayoutAnalysis;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LayoutAnalysis;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,144 @@
+/**
+ * BlockCell PDF Extractor - Layout Export
+ * Machine-readable JSON of every text run with its position, font and
+ * reading order. The format is described by layout-schema-v1.json; see the
+ * README for the versioning rules
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const SCHEMA = 'blockcell-layout';
+
+    // Bump the minor version for added fields, the major version for changes
+    // that break existing readers (and publish a new schema file with it)
+    const SCHEMA_VERSION = '1.1.0';
+
+    const MIME_TYPE = 'application/json';
+
+    const GENERATOR = { name: 'BlockCell PDF Extractor', version: '1.0.0' };
+
+    // Coordinates are kept to a hundredth of a point
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function describeFont(item, page) {
+        // OCR runs have no font
+        if (page.ocr) return null;
+        const font = page.fonts && page.fonts[item.fontName];
+        return {
+            id: item.fontName,
+            name: font ? font.name : null,
+            bold: font ? font.bold : false,
+            italic: font ? font.italic : false
+        };
+    }
+
+    /**
+     * Runs are numbered in reading order, the order in which their lines
+     * make up the page text; blank runs are left out.
+     */
+    function buildPage(page) {
+        const runs = [];
+        const lines = [];
+
+        page.lines.forEach((line, lineIndex) => {
+            const first = runs.length;
+
+            for (const item of line.items) {
+                if (item.str.trim() === '') continue;
+                const run = {
+                    index: runs.length,
+                    line: lineIndex,
+                    text: item.str,
+                    bbox: {
+                        x: round(item.x),
+                        y: round(item.y),
+                        width: round(item.width),
+                        height: round(item.height)
+                    },
+                    baseline: round(item.baseline),
+                    font: describeFont(item, page),
+                    fontSize: round(item.fontSize)
+                };
+                if (page.ocr) run.confidence = item.confidence;
+                runs.push(run);
+            }
+
+            lines.push({ index: lineIndex, text: line.text, runs: [first, runs.length - 1] });
+        });
+
+        return {
+            pageNumber: page.pageNumber,
+            width: round(page.width),
+            height: round(page.height),
+            rotation: page.rotation || 0,
+            ocr: page.ocr ? { confidence: page.ocr.confidence } : null,
+            lines,
+            runs
+        };
+    }
+
+    function buildForms(result) {
+        const fields = [];
+        const annotations = [];
+
+        for (const page of result.pages) {
+            for (const field of page.formFields || []) {
+                fields.push({ page: page.pageNumber, ...field });
+            }
+            for (const annotation of page.annotations || []) {
+                annotations.push({ page: page.pageNumber, ...annotation });
+            }
+        }
+        return { fields, annotations };
+    }
+
+    /**
+     * Build the layout document for an extraction result.
+     */
+    function build(result) {
+        const layout = {
+            schema: SCHEMA,
+            version: SCHEMA_VERSION,
+            generator: GENERATOR,
+            units: 'pt',
+            origin: 'top-left',
+            document: {
+                fileName: result.fileName || '',
+                pageCount: result.pageCount,
+                pageRange: result.pageRange || '',
+                pageNumbers: result.pageNumbers,
+                encrypted: !!(result.security && result.security.encrypted),
+                extractedAt: result.extractedAt || null
+            },
+            pages: result.pages.map(buildPage)
+        };
+
+        // Added in 1.1.0, present when form fields and annotations were extracted
+        if (result.pages.some(page => page.formFields)) layout.forms = buildForms(result);
+        return layout;
+    }
+
+    function toJSON(result) {
+        return JSON.stringify(build(result), null, 2);
+    }
+
+    const LayoutExport = {
+        SCHEMA,
+        SCHEMA_VERSION,
+        MIME_TYPE,
+        build,
+        toJSON
+    };
+
+    root.LayoutExport = LayoutExport;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LayoutExport;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,299 @@
+/**
+ * BlockCell PDF Extractor - OCR Engine
+ * Finds pages without a text layer and reads them with the Tesseract engine
+ * bundled under vendor/tesseract, so scanned PDFs still produce text
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const MODES = ['auto', 'force', 'off'];
+
+    // Pages with fewer visible characters than this have no usable text layer
+    const MIN_TEXT_CHARACTERS = 16;
+
+    // Render at scanner resolution, capped so large pages stay within memory
+    const RENDER_DPI = 300;
+    const MAX_RENDER_PIXELS = 16 * 1024 * 1024;
+
+    const LANGUAGE = 'eng';
+    const VENDOR_PATH = 'vendor/tesseract/';
+
+    // pdf.js operators that paint raster images
+    const IMAGE_OPERATORS = [
+        'paintImageXObject',
+        'paintImageXObjectRepeat',
+        'paintInlineImageXObject',
+        'paintInlineImageXObjectGroup',
+        'paintImageMaskXObject',
+        'paintImageMaskXObjectGroup',
+        'paintImageMaskXObjectRepeat',
+        'paintSolidColorImageMask'
+    ];
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function getTesseract() {
+        return getModule('Tesseract', 'tesseract.js');
+    }
+
+    function createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        // Node.js renders through the optional node-canvas package
+        return require('canvas').createCanvas(width, height);
+    }
+
+    /**
+     * pdf.js canvas factory that also works inside a Web Worker, where the
+     * default factory has no document to create canvases from.
+     */
+    function createCanvasFactory() {
+        return {
+            create(width, height) {
+                const canvas = createCanvas(width, height);
+                return { canvas, context: canvas.getContext('2d') };
+            },
+            reset(entry, width, height) {
+                entry.canvas.width = width;
+                entry.canvas.height = height;
+            },
+            destroy(entry) {
+                entry.canvas.width = 0;
+                entry.canvas.height = 0;
+                entry.canvas = null;
+                entry.context = null;
+            }
+        };
+    }
+
+    /**
+     * True when both the engine and a canvas to render pages on are at hand.
+     */
+    function isAvailable() {
+        try {
+            getTesseract();
+            if (typeof document !== 'undefined' || typeof OffscreenCanvas !== 'undefined') {
+                // Tesseract runs in a worker of its own
+                return typeof Worker !== 'undefined';
+            }
+            require.resolve('canvas');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Locations of the bundled engine files. Browsers get absolute URLs
+     * because Tesseract resolves them from inside its own worker.
+     */
+    function enginePaths() {
+        if (root.location) {
+            const base = new URL(VENDOR_PATH, root.location.href).href;
+            return {
+                workerPath: `${base}worker.min.js`,
+                corePath: `${base}core`,
+                langPath: `${base}lang`
+            };
+        }
+        // Node.js takes the engine from the tesseract.js package
+        return { langPath: require('path').join(__dirname, VENDOR_PATH, 'lang') };
+    }
+
+    function countCharacters(items) {
+        return items.reduce((count, item) => count + item.str.replace(/\s/g, '').length, 0);
+    }
+
+    async function hasImages(page) {
+        const { OPS } = getModule('PDFExtractionCore', './extraction-core.js').getPdfjs();
+        const codes = new Set(IMAGE_OPERATORS.map(name => OPS[name]).filter(code => code !== undefined));
+        const operatorList = await page.getOperatorList();
+        return operatorList.fnArray.some(fn => codes.has(fn));
+    }
+
+    async function renderPage(page, canvasFactory) {
+        const { width, height } = page.getViewport({ scale: 1 });
+        const scale = Math.min(RENDER_DPI / 72, Math.sqrt(MAX_RENDER_PIXELS / (width * height)));
+        const viewport = page.getViewport({ scale });
+        const entry = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        try {
+            await page.render({ canvasContext: entry.context, viewport }).promise;
+        } catch (error) {
+            canvasFactory.destroy(entry);
+            throw error;
+        }
+
+        return { entry, scale };
+    }
+
+    async function toImage(canvas) {
+        // node-canvas first: Node.js Tesseract reads buffers but not blobs
+        if (typeof canvas.toBuffer === 'function') return canvas.toBuffer('image/png');
+        if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: 'image/png' });
+        return canvas;
+    }
+
+    function baselineAt(line, x) {
+        const { baseline, bbox } = line;
+        if (!baseline || !baseline.has_baseline || baseline.x1 === baseline.x0) return bbox.y1;
+        return baseline.y0 + (baseline.y1 - baseline.y0) * (x - baseline.x0) / (baseline.x1 - baseline.x0);
+    }
+
+    /**
+     * Turn recognized words into the item shape the text layer produces (page
+     * units at scale 1, top-left origin), ending every recognized line with
+     * hasEOL so buildLines keeps Tesseract's line breaks.
+     */
+    function toItems(data, scale) {
+        const items = [];
+
+        for (const line of data.lines || []) {
+            const words = line.words.filter(word => word.text.trim() !== '');
+            const lineHeight = (line.bbox.y1 - line.bbox.y0) / scale;
+
+            words.forEach((word, index) => {
+                const { x0, y0, x1, y1 } = word.bbox;
+                items.push({
+                    str: word.text,
+                    x: x0 / scale,
+                    y: y0 / scale,
+                    baseline: baselineAt(line, (x0 + x1) / 2) / scale,
+                    width: (x1 - x0) / scale,
+                    height: (y1 - y0) / scale,
+                    fontName: 'OCR',
+                    fontSize: lineHeight,
+                    hasEOL: index === words.length - 1,
+                    confidence: Math.round(word.confidence)
+                });
+            });
+        }
+
+        return items;
+    }
+
+    // A Tesseract job cannot be interrupted, so stop waiting for it instead
+    function untilAborted(promise, signal) {
+        if (!signal) return promise;
+
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                const { ExtractionError } = getModule('PDFExtractionCore', './extraction-core.js');
+                reject(new ExtractionError('CANCELLED', 'Extraction was cancelled.'));
+            };
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            signal.addEventListener('abort', abort, { once: true });
+            promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * One session per extraction. The Tesseract worker starts on the first
+     * page that needs it and stays up until terminate() or an abort.
+     *
+     * @param {Object} options
+     * @param {string} options.mode - 'auto' (pages without text) or 'force' (every page)
+     * @param {AbortSignal} [options.signal]
+     */
+    function createSession({ mode = 'auto', signal } = {}) {
+        const canvasFactory = createCanvasFactory();
+        let pendingWorker = null;
+
+        const getWorker = () => {
+            if (!pendingWorker) {
+                const Tesseract = getTesseract();
+                pendingWorker = Tesseract.createWorker(LANGUAGE, Tesseract.OEM.LSTM_ONLY, {
+                    ...enginePaths(),
+                    cacheMethod: 'none',
+                    // Failures already reject the job; without a handler
+                    // Tesseract also throws them as uncaught errors
+                    errorHandler: () => {}
+                });
+            }
+            return pendingWorker;
+        };
+
+        const terminate = async () => {
+            if (!pendingWorker) return;
+            const worker = pendingWorker;
+            pendingWorker = null;
+            try {
+                await (await worker).terminate();
+            } catch (error) {
+                // The worker failed to start; nothing left to shut down
+            }
+        };
+
+        if (signal) signal.addEventListener('abort', terminate, { once: true });
+
+        return {
+            mode,
+
+            async needsOCR(page, items) {
+                if (mode === 'force') return true;
+                if (countCharacters(items) >= MIN_TEXT_CHARACTERS) return false;
+                return hasImages(page);
+            },
+
+            /**
+             * Render the page and recognize it. Resolves with { items,
+             * confidence } where confidence is Tesseract's 0-100 page mean.
+             */
+            async recognize(page) {
+                const worker = await untilAborted(getWorker(), signal);
+                const { entry, scale } = await renderPage(page, canvasFactory);
+
+                try {
+                    const image = await toImage(entry.canvas);
+                    const { data } = await untilAborted(worker.recognize(image), signal);
+                    return {
+                        items: toItems(data, scale),
+                        confidence: Math.round(data.confidence)
+                    };
+                } finally {
+                    canvasFactory.destroy(entry);
+                }
+            },
+
+            terminate() {
+                if (signal) signal.removeEventListener('abort', terminate);
+                return terminate();
+            }
+        };
+    }
+
+    const OCREngine = {
+        MODES,
+        MIN_TEXT_CHARACTERS,
+        isAvailable,
+        createCanvasFactory,
+        createSession,
+        toItems
+    };
+
+    root.OCREngine = OCREngine;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OCREngine;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
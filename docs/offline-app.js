@@ -0,0 +1,188 @@
+/**
+ * BlockCell PDF Extractor - Offline App
+ * What the service worker caches, and how PDFs reach the installed app:
+ * opened from the file manager (file_handlers) or shared from another
+ * app (share_target). Loaded by the page and by service-worker.js
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Rename when the file lists change so installed copies fetch them again
+    const CACHE_NAME = 'blockcell-app-v4';
+    const CACHE_PREFIX = 'blockcell-app-';
+
+    // Shared PDFs wait here between the service worker and the page
+    const SHARED_CACHE = 'blockcell-shared-files';
+    const SHARE_TARGET_PARAM = 'share-target';
+    const SHARE_FIELD = 'pdf';
+
+    // Everything index.html and extraction-worker.js load
+    const APP_SHELL = [
+        './',
+        'index.html',
+        'styles.css',
+        'manifest.webmanifest',
+        'icons/icon.svg',
+        'icons/icon-192.png',
+        'icons/icon-512.png',
+        'icons/icon-maskable-512.png',
+        'layout-schema-v1.json',
+        'offline-app.js',
+        'page-range.js',
+        'document-stats.js',
+        'ocr-engine.js',
+        'layout-analysis.js',
+        'extraction-core.js',
+        'image-extraction.js',
+        'form-extraction.js',
+        'table-detection.js',
+        'payroll-parser.js',
+        'excel-export.js',
+        'structure-export.js',
+        'layout-export.js',
+        'pii-detection.js',
+        'document-diff.js',
+        'zip-archive.js',
+        'headless-extractor.js',
+        'extraction-worker.js',
+        'extraction-client.js',
+        'page-thumbnails.js',
+        'text-viewer.js',
+        'batch-queue.js',
+        'history-store.js',
+        'history-panel.js',
+        'redaction-panel.js',
+        'document-assistant.js',
+        'ai-chat.js',
+        'script.js',
+        'upload-functionality.js',
+        'vendor/pdfjs/pdf.min.js',
+        'vendor/pdfjs/pdf.worker.min.js',
+        'vendor/xlsx/xlsx.full.min.js',
+        'vendor/gsap/gsap.min.js',
+        'vendor/gsap/ScrollTrigger.min.js',
+        'vendor/inter/inter.css',
+        'vendor/inter/inter-latin-wght-normal.woff2',
+        'vendor/fontawesome/css/all.min.css',
+        'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+        'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+        'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+        'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+    ];
+
+    // About 10 MB, but scanned PDFs need it and air-gapped machines can't
+    // fetch it later
+    const OCR_FILES = [
+        'vendor/tesseract/tesseract.min.js',
+        'vendor/tesseract/worker.min.js',
+        'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+        'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+        'vendor/tesseract/lang/eng.traineddata.gz'
+    ];
+
+    /**
+     * Register the service worker. Resolves with the registration, or null
+     * where service workers are unavailable (file://, old browsers).
+     */
+    async function register(url = 'service-worker.js') {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+        if (!/^https?:$/.test(location.protocol)) return null;
+
+        try {
+            return await navigator.serviceWorker.register(url);
+        } catch (error) {
+            // The page works without it, just not offline
+            console.warn('Could not register the service worker:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Call onFiles(files) with the PDFs the app was launched with: opened
+     * through the file handler, or shared and stashed by the service worker.
+     */
+    function receiveFiles(onFiles) {
+        if (typeof window !== 'undefined' && 'launchQueue' in window) {
+            window.launchQueue.setConsumer(async (params) => {
+                if (!params.files || params.files.length === 0) return;
+                const files = await Promise.all(params.files.map(handle => handle.getFile()));
+                onFiles(files);
+            });
+        }
+
+        const url = new URL(location.href);
+        if (!url.searchParams.has(SHARE_TARGET_PARAM)) return;
+
+        // Drop the marker so a reload doesn't look for the files again
+        url.searchParams.delete(SHARE_TARGET_PARAM);
+        history.replaceState(null, '', url.href);
+
+        takeSharedFiles().then((files) => {
+            if (files.length > 0) onFiles(files);
+        }, (error) => {
+            console.warn('Could not read the shared files:', error);
+        });
+    }
+
+    /**
+     * Service worker side of the share target: keep the shared PDFs in
+     * SHARED_CACHE for the page and resolve with the redirect to it.
+     */
+    async function stashSharedFiles(request, scope) {
+        const formData = await request.formData();
+        const files = formData.getAll(SHARE_FIELD).filter(file => typeof file !== 'string');
+        const cache = await caches.open(SHARED_CACHE);
+
+        await Promise.all(files.map((file, index) => cache.put(
+            new Request(`${scope}shared/${index}`),
+            // The share target only takes PDFs, but some apps send them
+            // untyped (application/octet-stream)
+            new Response(file, {
+                headers: {
+                    'Content-Type': 'application/pdf',
+                    'X-File-Name': encodeURIComponent(file.name)
+                }
+            })
+        )));
+
+        return Response.redirect(`${scope}?${SHARE_TARGET_PARAM}`, 303);
+    }
+
+    // Page side: the stashed PDFs as Files, removed from the cache
+    async function takeSharedFiles() {
+        if (typeof caches === 'undefined') return [];
+
+        const cache = await caches.open(SHARED_CACHE);
+        const files = [];
+        for (const request of await cache.keys()) {
+            const response = await cache.match(request);
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared.pdf');
+            const type = response.headers.get('Content-Type') || 'application/pdf';
+            files.push(new File([await response.blob()], name, { type }));
+            await cache.delete(request);
+        }
+        return files;
+    }
+
+    const OfflineApp = {
+        CACHE_NAME,
+        CACHE_PREFIX,
+        SHARE_TARGET_PARAM,
+        APP_SHELL,
+        OCR_FILES,
+        register,
+        receiveFiles,
+        stashSharedFiles,
+        takeSharedFiles
+    };
+
+    root.OfflineApp = OfflineApp;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OfflineApp;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,101 @@
+/**
+ * BlockCell PDF Extractor - Page Range Parsing
+ * Parses and formats page selections such as "1-5, 10, 15-20", "10-" or "5-1"
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const TOKEN_PATTERN = /^(\d+)?\s*([-–])?\s*(\d+)?$/;
+
+    function invalid(message) {
+        return { valid: false, pages: [], message };
+    }
+
+    /**
+     * Parse a page range spec. Without a page count only the syntax is checked;
+     * open ranges ("10-") then stay unresolved. An empty spec selects every page.
+     */
+    function parse(spec, pageCount) {
+        const text = (spec || '').trim();
+        const hasCount = Number.isInteger(pageCount);
+
+        if (!text) {
+            const pages = hasCount ? Array.from({ length: pageCount }, (_, i) => i + 1) : [];
+            return { valid: true, pages, all: true };
+        }
+
+        const pages = [];
+        const seen = new Set();
+        const tokens = text.split(',').map(token => token.trim());
+
+        for (const token of tokens) {
+            const match = token.match(TOKEN_PATTERN);
+            const isRange = !!(match && match[2]);
+            if (!match || (!match[1] && !match[3]) || (!isRange && match[3])) {
+                return invalid(`"${token || text}" is not a valid page range. Use numbers like 1-5, 10, 15-20 or 10-.`);
+            }
+
+            const start = match[1] ? parseInt(match[1], 10) : 1;
+            let end = isRange ? (match[3] ? parseInt(match[3], 10) : null) : start;
+
+            if (start === 0 || end === 0) {
+                return invalid('Page numbers start at 1.');
+            }
+
+            if (!hasCount) continue;
+
+            if (end === null) end = pageCount;
+            const outOfRange = [start, end].find(page => page > pageCount);
+            if (outOfRange) {
+                const pagesLabel = pageCount === 1 ? '1 page' : `${pageCount} pages`;
+                return invalid(`Page ${outOfRange} does not exist. This document has ${pagesLabel}.`);
+            }
+
+            const step = start <= end ? 1 : -1;
+            for (let page = start; page !== end + step; page += step) {
+                if (!seen.has(page)) {
+                    seen.add(page);
+                    pages.push(page);
+                }
+            }
+        }
+
+        return { valid: true, pages, all: false };
+    }
+
+    /**
+     * Format page numbers back into the compact form accepted by parse().
+     */
+    function format(pages) {
+        const parts = [];
+        let i = 0;
+
+        while (i < pages.length) {
+            let j = i;
+            const step = pages[i + 1] - pages[i];
+            if (step === 1 || step === -1) {
+                while (j + 1 < pages.length && pages[j + 1] - pages[j] === step) j++;
+            }
+
+            parts.push(j > i ? `${pages[i]}-${pages[j]}` : `${pages[i]}`);
+            i = j + 1;
+        }
+
+        return parts.join(', ');
+    }
+
+    const PageRange = {
+        parse,
+        format
+    };
+
+    root.PageRange = PageRange;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PageRange;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
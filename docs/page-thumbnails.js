@@ -0,0 +1,277 @@
+/**
+ * BlockCell PDF Extractor - Page Thumbnails
+ * Renders a strip of page thumbnails for the chosen PDF. Clicking and
+ * shift-clicking them selects pages, kept in sync with #pageRange
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class PageThumbnails {
+    constructor() {
+        this.elements = {
+            container: document.getElementById('pageThumbnails'),
+            strip: document.getElementById('thumbnailStrip'),
+            summary: document.getElementById('thumbnailSummary'),
+            allPages: document.getElementById('allPagesBtn'),
+            pageRange: document.getElementById('pageRange')
+        };
+
+        this.pdf = null;
+        this.loading = null;
+        this.passwordNeeded = false;
+        this.pageCount = 0;
+        this.selected = new Set();
+        this.anchor = null;
+        this.observer = null;
+        this.renderQueue = [];
+        this.rendering = false;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const { strip, allPages, pageRange } = this.elements;
+
+        if (strip) {
+            strip.addEventListener('click', (e) => {
+                const thumbnail = e.target.closest('.page-thumbnail');
+                if (thumbnail) this.select(Number(thumbnail.dataset.page), e.shiftKey);
+            });
+        }
+
+        if (allPages) {
+            allPages.addEventListener('click', () => {
+                this.selected.clear();
+                this.anchor = null;
+                this.writePageRange();
+                this.updateSelection();
+            });
+        }
+
+        // Typing a range selects its pages; incomplete input is left alone
+        if (pageRange) {
+            pageRange.addEventListener('input', () => this.readPageRange());
+        }
+    }
+
+    /**
+     * Open the file and lay out one placeholder per page. Thumbnails are
+     * rendered as they scroll into view, one at a time. Resolves with
+     * { pageCount, metadata }, or null when the file could not be opened.
+     */
+    async load(file, password = '') {
+        await this.clear();
+        const { container, summary } = this.elements;
+        if (!container) return null;
+
+        const pdfPromise = PDFExtractionCore.readFile(file)
+            .then(data => PDFExtractionCore.openDocument(data, { password }));
+        this.loading = pdfPromise;
+
+        let pdf;
+        try {
+            pdf = await pdfPromise;
+        } catch (error) {
+            if (this.loading !== pdfPromise) return null;
+            this.loading = null;
+            this.passwordNeeded = error.code === 'PASSWORD_REQUIRED' || error.code === 'INCORRECT_PASSWORD';
+            container.hidden = false;
+            if (summary) {
+                summary.textContent = this.passwordNeeded
+                    ? 'Enter the PDF password to see page previews.'
+                    : 'Page previews are not available for this file.';
+            }
+            return null;
+        }
+
+        // Another file was chosen while this one was opening
+        if (this.loading !== pdfPromise) {
+            pdf.destroy();
+            return null;
+        }
+        this.loading = null;
+        this.pdf = pdf;
+        this.pageCount = pdf.numPages;
+        this.createPlaceholders();
+        this.readPageRange();
+        container.hidden = false;
+
+        const metadata = await PDFExtractionCore.getDocumentInfo(pdf);
+        return this.pdf === pdf ? { pageCount: this.pageCount, metadata } : null;
+    }
+
+    // Whether the last load stopped at a password prompt
+    needsPassword() {
+        return this.passwordNeeded;
+    }
+
+    async clear() {
+        const { container, strip, summary } = this.elements;
+
+        this.loading = null;
+        this.passwordNeeded = false;
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        this.renderQueue = [];
+        this.selected.clear();
+        this.anchor = null;
+        this.pageCount = 0;
+
+        if (strip) strip.innerHTML = '';
+        if (summary) summary.textContent = '';
+        if (container) container.hidden = true;
+
+        const pdf = this.pdf;
+        this.pdf = null;
+        if (pdf) await pdf.destroy();
+    }
+
+    createPlaceholders() {
+        const { strip } = this.elements;
+        if (!strip) return;
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(entries => {
+                for (const entry of entries) {
+                    if (!entry.isIntersecting) continue;
+                    this.observer.unobserve(entry.target);
+                    this.queueRender(entry.target);
+                }
+            }, { root: strip, rootMargin: '200px' });
+        }
+
+        for (let pageNumber = 1; pageNumber <= this.pageCount; pageNumber++) {
+            const thumbnail = document.createElement('button');
+            thumbnail.type = 'button';
+            thumbnail.className = 'page-thumbnail';
+            thumbnail.dataset.page = pageNumber;
+            thumbnail.setAttribute('aria-pressed', 'false');
+            thumbnail.setAttribute('aria-label', `Page ${pageNumber}`);
+            thumbnail.innerHTML = `
+                <span class="thumbnail-canvas"></span>
+                <span class="thumbnail-label">${pageNumber}</span>
+            `;
+            strip.appendChild(thumbnail);
+
+            if (this.observer) {
+                this.observer.observe(thumbnail);
+            } else {
+                this.queueRender(thumbnail);
+            }
+        }
+    }
+
+    queueRender(thumbnail) {
+        this.renderQueue.push(thumbnail);
+        if (!this.rendering) this.renderNext();
+    }
+
+    async renderNext() {
+        const pdf = this.pdf;
+        const thumbnail = this.renderQueue.shift();
+        if (!pdf || !thumbnail) {
+            this.rendering = false;
+            return;
+        }
+
+        this.rendering = true;
+        try {
+            await this.renderThumbnail(pdf, thumbnail);
+        } catch (error) {
+            // The document was closed while rendering, or the page is broken
+            if (this.pdf === pdf) thumbnail.classList.add('failed');
+        }
+        this.renderNext();
+    }
+
+    async renderThumbnail(pdf, thumbnail) {
+        const page = await pdf.getPage(Number(thumbnail.dataset.page));
+
+        try {
+            const pixelRatio = window.devicePixelRatio || 1;
+            const unscaled = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({
+                scale: PageThumbnails.WIDTH / unscaled.width * pixelRatio
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+            if (this.pdf !== pdf) return;
+            thumbnail.querySelector('.thumbnail-canvas').appendChild(canvas);
+            thumbnail.classList.add('rendered');
+        } finally {
+            page.cleanup();
+        }
+    }
+
+    /**
+     * Click toggles a page; shift-click selects every page between it and
+     * the page clicked before.
+     */
+    select(pageNumber, extend) {
+        if (extend && this.anchor !== null) {
+            const step = pageNumber >= this.anchor ? 1 : -1;
+            for (let page = this.anchor; page !== pageNumber + step; page += step) {
+                this.selected.add(page);
+            }
+        } else if (this.selected.has(pageNumber)) {
+            this.selected.delete(pageNumber);
+        } else {
+            this.selected.add(pageNumber);
+        }
+
+        this.anchor = pageNumber;
+        this.writePageRange();
+        this.updateSelection();
+    }
+
+    writePageRange() {
+        const { pageRange } = this.elements;
+        if (!pageRange) return;
+
+        pageRange.value = PageRange.format([...this.selected].sort((a, b) => a - b));
+    }
+
+    readPageRange() {
+        const { pageRange } = this.elements;
+        if (!pageRange || !this.pdf) return;
+
+        const selection = PageRange.parse(pageRange.value, this.pageCount);
+        if (!selection.valid) return;
+
+        this.selected = new Set(selection.all ? [] : selection.pages);
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        const { strip, summary, allPages } = this.elements;
+
+        if (strip) {
+            for (const thumbnail of strip.querySelectorAll('.page-thumbnail')) {
+                const selected = this.selected.has(Number(thumbnail.dataset.page));
+                thumbnail.classList.toggle('selected', selected);
+                thumbnail.setAttribute('aria-pressed', String(selected));
+            }
+        }
+
+        const count = this.selected.size;
+        const pagesLabel = this.pageCount === 1 ? '1 page' : `${this.pageCount} pages`;
+        if (summary) {
+            summary.textContent = count === 0
+                ? `All ${pagesLabel} will be extracted. Click pages to pick some; Shift-click selects a run.`
+                : `${count} of ${pagesLabel} selected`;
+        }
+        if (allPages) allPages.hidden = count === 0;
+    }
+}
+
+// Thumbnail width in CSS pixels
+PageThumbnails.WIDTH = 96;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageThumbnails;
+}
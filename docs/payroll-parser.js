@@ -0,0 +1,386 @@
+/**
+ * BlockCell PDF Extractor - Payroll Parser
+ * Recognizes pay stubs and payroll registers in extracted pages: employee
+ * name/ID, pay period, gross pay, tax and deduction lines and net pay
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Gross minus deductions may differ from net by rounding only
+    const RECONCILE_TOLERANCE = 0.01;
+
+    const DATE = '\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}';
+    const DATE_RANGE_PATTERN = new RegExp(`(${DATE})\\s*(?:-|–|to|thru|through)\\s*(${DATE})`, 'i');
+
+    const ID_LABEL = /^(?:employee|emp\.?)\s*(?:id|#|no\.?|number)\s*[:#]?\s*(.*)$/i;
+    const NAME_LABEL = /^(?:employee\s+name\s*:?|employee\s*:|name\s*:)\s*(.*)$/i;
+    const PERIOD_LABEL = /^(?:pay\s*)?period\s*:?\s*(.*)$/i;
+    const PERIOD_START_LABEL = /^(?:pay\s*)?period\s*(?:begin(?:ning)?|start(?:ing)?)\s*(?:date)?\s*:?\s*(.*)$/i;
+    const PERIOD_END_LABEL = /^(?:pay\s*)?period\s*(?:end(?:ing)?)\s*(?:date)?\s*:?\s*(.*)$/i;
+    const PAY_DATE_LABEL = /^(?:pay|check|payment)\s*date\s*:?\s*(.*)$/i;
+
+    const GROSS_LABEL = /\bgross\b/i;
+    const NET_LABEL = /^(?:total\s+)?net\b/i;
+    const YTD_LABEL = /\bytd\b|year\s+to\s+date/i;
+    const TOTAL_LABEL = /^total\s+(?:taxes|tax|deductions?|withholdings?)\b/i;
+    const TAX_LABEL = /\b(?:tax|taxes|withholding|fit|sit|lit|fica|oasdi|social\s+security|medicare|sdi|sui|fli|pfl)\b|\bw\/h\b/i;
+    const DEDUCTION_LABEL = /\b(?:401\s*\(?k\)?|403\s*\(?b\)?|457|roth|retirement|pension|health|medical|dental|vision|insurance|life|hsa|fsa|garnish\w*|loan|dues|union|child\s+support|levy|parking|transit|deduction)\b/i;
+
+    const TAX_SECTION = /^(?:taxes|tax\s+withh\w*|withholdings?|statutory(?:\s+deductions)?)\b/i;
+    const DEDUCTION_SECTION = /^(?:pre-?tax\s+|post-?tax\s+|voluntary\s+|other\s+)?deductions?\b/i;
+    const EARNINGS_SECTION = /^(?:earnings|hours\s+and\s+earnings|income|pay)\b/i;
+
+    const CURRENT_HEADER = /^(?:current|this\s+period|current\s+period|amount)$/i;
+    const YTD_HEADER = /^(?:ytd|y-t-d|year\s+to\s+date)(?:\s+amount)?$/i;
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function cleanLabel(label) {
+        return label.replace(/[:.\s]+$/, '').replace(/\s+/g, ' ').trim();
+    }
+
+    function roundCents(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function createEmployee(pageNumber) {
+        return {
+            employeeId: '',
+            employeeName: '',
+            payPeriod: '',
+            payDate: '',
+            grossPay: null,
+            taxes: {},
+            deductions: {},
+            netPay: null,
+            pageNumbers: [pageNumber]
+        };
+    }
+
+    function totalDeductions(employee) {
+        const amounts = [...Object.values(employee.taxes), ...Object.values(employee.deductions)];
+        return roundCents(amounts.reduce((sum, amount) => sum + amount, 0));
+    }
+
+    /**
+     * Split a row's segments into a leading label and the amounts after it,
+     * keeping the horizontal center of each amount for column matching.
+     */
+    function readRow(row) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const labelParts = [];
+        const amounts = [];
+
+        for (const segment of row.segments) {
+            const tokens = segment.text.split(/\s+/);
+            let split = tokens.length;
+            while (split > 0 && TableDetection.parseNumber(tokens[split - 1]) !== null) split--;
+
+            if (split > 0 && amounts.length === 0) {
+                labelParts.push(tokens.slice(0, split).join(' '));
+            }
+
+            const numbers = tokens.slice(split);
+            const center = (segment.left + segment.right) / 2;
+            numbers.forEach(token => amounts.push({ value: TableDetection.parseNumber(token), center }));
+        }
+
+        return { label: cleanLabel(labelParts.join(' ')), amounts };
+    }
+
+    /**
+     * Pick the current-period amount, using the "Current" and "YTD" column
+     * headers when the stub has them.
+     */
+    function currentAmount(amounts, columns) {
+        if (amounts.length === 0) return null;
+        if (columns.current === null) return amounts[0].value;
+
+        const nearest = amounts.reduce((best, amount) =>
+            Math.abs(amount.center - columns.current) < Math.abs(best.center - columns.current) ? amount : best);
+
+        if (columns.ytd !== null &&
+            Math.abs(nearest.center - columns.ytd) < Math.abs(nearest.center - columns.current)) {
+            return null;
+        }
+        return nearest.value;
+    }
+
+    /**
+     * Read "Label: value" pairs from a row, taking the value from the next
+     * segment when the label stands on its own.
+     */
+    function readFields(row) {
+        const fields = {};
+        const texts = row.segments.map(segment => segment.text);
+        const labels = [
+            ['employeeId', ID_LABEL],
+            ['periodStart', PERIOD_START_LABEL],
+            ['periodEnd', PERIOD_END_LABEL],
+            ['payDate', PAY_DATE_LABEL],
+            ['payPeriod', PERIOD_LABEL],
+            ['employeeName', NAME_LABEL]
+        ];
+
+        texts.forEach((text, index) => {
+            for (const [field, pattern] of labels) {
+                const match = text.match(pattern);
+                if (!match) continue;
+
+                const value = (match[1] || texts[index + 1] || '').trim();
+                if (field === 'employeeName' && !/[a-z]/i.test(value)) break;
+                if (value && !fields[field]) fields[field] = value;
+                break;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Walk the rows of pay stubs top to bottom, starting a new employee when
+     * a name or ID repeats.
+     */
+    function parseStubs(pages) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const employees = [];
+        let employee = null;
+        let section = null;
+        let columns = { current: null, ytd: null };
+
+        const startEmployee = pageNumber => {
+            employee = createEmployee(pageNumber);
+            employees.push(employee);
+            section = null;
+        };
+
+        for (const page of pages) {
+            const rows = TableDetection.groupRows(page.items);
+
+            for (const row of rows) {
+                row.segments = TableDetection.splitSegments(row);
+                const fields = readFields(row);
+                const identifies = fields.employeeId || fields.employeeName;
+
+                if (identifies && (!employee ||
+                    (fields.employeeId && employee.employeeId) ||
+                    (fields.employeeName && employee.employeeName) ||
+                    employee.netPay !== null)) {
+                    startEmployee(page.pageNumber);
+                }
+
+                if (Object.keys(fields).length > 0) {
+                    if (!employee) startEmployee(page.pageNumber);
+                    if (fields.employeeId) employee.employeeId = fields.employeeId.split(/\s+/)[0];
+                    if (fields.employeeName) employee.employeeName = fields.employeeName;
+                    if (fields.payDate) employee.payDate = fields.payDate;
+                    if (fields.payPeriod) {
+                        const range = fields.payPeriod.match(DATE_RANGE_PATTERN);
+                        employee.payPeriod = range ? `${range[1]} - ${range[2]}` : fields.payPeriod;
+                    }
+                    if (fields.periodStart) employee.payPeriod = fields.periodStart;
+                    if (fields.periodEnd) {
+                        employee.payPeriod = employee.payPeriod
+                            ? `${employee.payPeriod} - ${fields.periodEnd}`
+                            : fields.periodEnd;
+                    }
+                    continue;
+                }
+
+                const headers = row.segments.map(segment => segment.text);
+                if (headers.some(text => CURRENT_HEADER.test(text))) {
+                    const centerOf = pattern => {
+                        const segment = row.segments.find(candidate => pattern.test(candidate.text));
+                        return segment ? (segment.left + segment.right) / 2 : null;
+                    };
+                    columns = { current: centerOf(CURRENT_HEADER), ytd: centerOf(YTD_HEADER) };
+                }
+
+                const { label, amounts } = readRow(row);
+                if (!label) continue;
+
+                if (amounts.length === 0) {
+                    if (TAX_SECTION.test(label)) section = 'tax';
+                    else if (DEDUCTION_SECTION.test(label)) section = 'deduction';
+                    else if (EARNINGS_SECTION.test(label)) section = 'earnings';
+                    continue;
+                }
+
+                if (!employee || TOTAL_LABEL.test(label) || YTD_LABEL.test(label)) continue;
+
+                const amount = currentAmount(amounts, columns);
+                if (amount === null) continue;
+
+                if (GROSS_LABEL.test(label)) {
+                    if (employee.grossPay === null) employee.grossPay = amount;
+                } else if (NET_LABEL.test(label)) {
+                    if (employee.netPay === null) employee.netPay = amount;
+                } else if (section === 'earnings' && !TAX_LABEL.test(label)) {
+                    continue;
+                } else if (section === 'tax' || TAX_LABEL.test(label)) {
+                    employee.taxes[label] = Math.abs(amount);
+                } else if (section === 'deduction' || DEDUCTION_LABEL.test(label)) {
+                    employee.deductions[label] = Math.abs(amount);
+                } else {
+                    continue;
+                }
+
+                // A stub can run over onto the next page
+                if (!employee.pageNumbers.includes(page.pageNumber)) {
+                    employee.pageNumbers.push(page.pageNumber);
+                }
+            }
+        }
+
+        return employees;
+    }
+
+    /**
+     * Map the columns of a payroll register table (one employee per row).
+     * Returns null when the header has no gross and net pay columns.
+     */
+    function mapRegisterColumns(header) {
+        const labels = header.map(cleanLabel);
+        const find = pattern => labels.findIndex(label => pattern.test(label));
+        const mapping = {
+            employeeId: find(/^(?:emp(?:loyee)?\.?\s*)?(?:id|#|no\.?|number)$/i),
+            employeeName: find(/name|^employee$/i),
+            payPeriod: find(/period/i),
+            payDate: find(/(?:pay|check)\s*date/i),
+            grossPay: find(GROSS_LABEL),
+            netPay: find(NET_LABEL),
+            taxes: [],
+            deductions: []
+        };
+
+        if (mapping.grossPay < 0 || mapping.netPay < 0) return null;
+
+        const claimed = new Set(Object.values(mapping).filter(index => typeof index === 'number'));
+        labels.forEach((label, index) => {
+            if (claimed.has(index) || !label || TOTAL_LABEL.test(label)) return;
+            if (/hours|hrs|rate|regular|overtime|bonus|earnings|ytd/i.test(label)) return;
+            if (TAX_LABEL.test(label)) mapping.taxes.push(index);
+            else if (DEDUCTION_LABEL.test(label)) mapping.deductions.push(index);
+        });
+
+        return mapping;
+    }
+
+    function parseRegisterTable(table, mapping) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const header = table.rows[0].map(cleanLabel);
+        const employees = [];
+        const cell = (cells, index) => (index >= 0 ? cells[index].trim() : '');
+        const amount = (cells, index) => TableDetection.parseNumber(cell(cells, index));
+
+        for (const cells of table.rows.slice(1)) {
+            const name = cell(cells, mapping.employeeName);
+            if (/^(?:grand\s+)?totals?\b/i.test(name) || /^(?:grand\s+)?totals?\b/i.test(cells[0])) continue;
+
+            const grossPay = amount(cells, mapping.grossPay);
+            const netPay = amount(cells, mapping.netPay);
+            if (grossPay === null && netPay === null) continue;
+
+            const employee = createEmployee(table.pageNumber);
+            employee.employeeId = cell(cells, mapping.employeeId);
+            employee.employeeName = name;
+            employee.payPeriod = cell(cells, mapping.payPeriod);
+            employee.payDate = cell(cells, mapping.payDate);
+            employee.grossPay = grossPay;
+            employee.netPay = netPay;
+            mapping.taxes.forEach(index => {
+                const value = amount(cells, index);
+                if (value !== null) employee.taxes[header[index]] = Math.abs(value);
+            });
+            mapping.deductions.forEach(index => {
+                const value = amount(cells, index);
+                if (value !== null) employee.deductions[header[index]] = Math.abs(value);
+            });
+            employees.push(employee);
+        }
+
+        return employees;
+    }
+
+    /**
+     * List employees whose gross pay minus taxes and deductions does not
+     * equal their net pay.
+     */
+    function findDiscrepancies(employees) {
+        return employees
+            .map(employee => {
+                const deductions = totalDeductions(employee);
+                const expectedNet = employee.grossPay === null ? null : roundCents(employee.grossPay - deductions);
+                const difference = expectedNet === null || employee.netPay === null
+                    ? null
+                    : roundCents(employee.netPay - expectedNet);
+                return { employee, totalDeductions: deductions, expectedNet, difference };
+            })
+            .filter(entry => entry.difference === null || Math.abs(entry.difference) > RECONCILE_TOLERANCE);
+    }
+
+    /**
+     * Parse payroll data from an extraction result. Pages that hold a
+     * payroll register are read row by row; every other page as pay stubs.
+     */
+    function parse(result) {
+        const TableDetection = getModule('TableDetection', './table-detection.js');
+        const employees = [];
+        const stubPages = [];
+        let registerRows = 0;
+
+        for (const page of result.pages) {
+            const registers = TableDetection.detectTables(page)
+                .map(table => ({ table, mapping: mapRegisterColumns(table.rows[0]) }))
+                .filter(register => register.mapping);
+
+            if (registers.length === 0) {
+                stubPages.push(page);
+                continue;
+            }
+
+            for (const { table, mapping } of registers) {
+                const rows = parseRegisterTable(table, mapping);
+                registerRows += rows.length;
+                employees.push(...rows);
+            }
+        }
+
+        const stubs = parseStubs(stubPages)
+            .filter(employee => employee.grossPay !== null || employee.netPay !== null);
+        employees.push(...stubs);
+
+        // Keep employees in document order whichever way they were parsed
+        const pageOrder = result.pages.map(page => page.pageNumber);
+        employees.sort((a, b) => pageOrder.indexOf(a.pageNumbers[0]) - pageOrder.indexOf(b.pageNumbers[0]));
+
+        return {
+            format: registerRows > 0 && stubs.length > 0 ? 'mixed' : (registerRows > 0 ? 'register' : 'stub'),
+            employees,
+            discrepancies: findDiscrepancies(employees)
+        };
+    }
+
+    const PayrollParser = {
+        RECONCILE_TOLERANCE,
+        parse,
+        parseStubs,
+        mapRegisterColumns,
+        findDiscrepancies,
+        totalDeductions
+    };
+
+    root.PayrollParser = PayrollParser;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PayrollParser;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
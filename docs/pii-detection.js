@@ -0,0 +1,436 @@
+/**
+ * BlockCell PDF Extractor - PII Detection
+ * Finds Social Security numbers, bank routing and account numbers, street
+ * addresses and dates of birth in an extraction result, and masks the ones
+ * chosen for redaction everywhere in the result before it is exported
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const TYPES = {
+        ssn: { label: 'Social Security number', tag: '[SSN]' },
+        routing: { label: 'Routing number', tag: '[ROUTING NUMBER]' },
+        account: { label: 'Account number', tag: '[ACCOUNT NUMBER]' },
+        address: { label: 'Address', tag: '[ADDRESS]' },
+        dob: { label: 'Date of birth', tag: '[DATE OF BIRTH]' }
+    };
+
+    // partial keeps the last four digits (the year of a birth date) so
+    // rows can still be told apart
+    const MASKS = {
+        partial: 'Keep last 4 digits',
+        full: 'Mask completely',
+        label: 'Replace with a label'
+    };
+
+    const DEFAULT_MASK = 'partial';
+
+    // Labels that say what the number after them is. Checked in the text
+    // just before a number, nearest label first
+    const LABELS = [
+        { type: 'ssn', pattern: /\b(?:SSN|SS#|SS No|Social Security(?: Number| No)?|Soc\.? Sec\.?(?: No)?|TIN|Taxpayer ID)\b/gi },
+        { type: 'routing', pattern: /\b(?:Routing|ABA|RTN|Transit)\b/gi },
+        { type: 'account', pattern: /\b(?:Account|Acct|A\/C)\b/gi },
+        { type: 'dob', pattern: /\b(?:DOB|D\.O\.B|Date of Birth|Birth ?Date|Born)\b/gi }
+    ];
+
+    // How far before a value its label may be: numbers often sit in the
+    // next column, a birth date right after its label
+    const LABEL_WINDOW = 60;
+    const DATE_LABEL_WINDOW = 24;
+
+    // Runs of digits, optionally with dashes, that aren't part of an amount,
+    // a date or a word
+    const NUMBER_PATTERN = /(?<![\w.,/-])\d[\d-]{4,22}\d(?![\w/-]|[.,]\d)/g;
+    const SPACED_SSN_PATTERN = /(?<![\w.,/-])\d{3} \d{2} \d{4}(?![\w/-]|[.,]\d)/g;
+    const DASHED_DATE = /^(?:\d{1,2}-\d{1,2}-(?:\d{2}|\d{4})|\d{4}-\d{1,2}-\d{1,2})$/;
+
+    const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|' +
+        'Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec';
+    const DATE_PATTERN = new RegExp(
+        '\\b(?:\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})|\\d{4}-\\d{2}-\\d{2}|' +
+        `(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2} (?:${MONTHS})\\.? \\d{4})\\b`, 'gi'
+    );
+
+    const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|' +
+        'Place|Pl|Terrace|Ter|Parkway|Pkwy|Circle|Cir|Highway|Hwy|Square|Sq|Trail|Trl';
+    const STREET_PATTERN = new RegExp(
+        '\\b\\d{1,6}(?:-\\d{1,4})?\\s+(?:(?:[NSEW]|North|South|East|West)\\.?\\s+)?' +
+        `(?:(?:[A-Za-z][A-Za-z'.]*|\\d+(?:st|nd|rd|th))\\s+){0,4}?(?:${STREET_SUFFIXES})\\b\\.?` +
+        '(?:\\s+(?:NE|NW|SE|SW|N|S|E|W)\\b\\.?)?' +
+        '(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[A-Za-z0-9-]+)?', 'gi'
+    );
+
+    const STATES = 'AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|' +
+        'NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|PR|GU|VI';
+    const CITY_PATTERN = new RegExp(
+        `\\b(?:[A-Z][A-Za-z.'-]*\\s){0,2}[A-Z][A-Za-z.'-]*,\\s*(?:${STATES})\\s+\\d{5}(?:-\\d{4})?\\b`, 'g'
+    );
+
+    // Numbers the SSA will never issue, including ones printed on sample cards
+    const INVALID_SSNS = ['078051120', '219099999', '123456789'];
+
+    /**
+     * Whether nine digits can be a Social Security number: no area 000,
+     * 666 or 900-999, no group 00 and no serial 0000.
+     */
+    function isValidSSN(value) {
+        const digits = String(value).replace(/\D/g, '');
+        if (digits.length !== 9 || INVALID_SSNS.includes(digits)) return false;
+
+        const area = Number(digits.slice(0, 3));
+        const group = Number(digits.slice(3, 5));
+        const serial = Number(digits.slice(5));
+        return area !== 0 && area !== 666 && area < 900 && group !== 0 && serial !== 0;
+    }
+
+    /**
+     * Whether nine digits are an ABA routing number: a Federal Reserve,
+     * thrift, electronic or traveler's check prefix and a valid check digit
+     * (3, 7, 1 weights summing to a multiple of 10).
+     */
+    function isValidRoutingNumber(value) {
+        const digits = String(value).replace(/\D/g, '');
+        if (!/^\d{9}$/.test(digits)) return false;
+
+        const prefix = Number(digits.slice(0, 2));
+        const validPrefix = prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix === 80;
+        if (!validPrefix) return false;
+
+        const d = Array.from(digits, Number);
+        const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+        return sum % 10 === 0;
+    }
+
+    // A real calendar date between 1900 and today; numeric dates are read
+    // month first, as on US forms
+    function isBirthDate(text) {
+        let year, month, day;
+        const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+        if (iso) {
+            [year, month, day] = iso.slice(1).map(Number);
+        } else if (numeric) {
+            [month, day, year] = numeric.slice(1).map(Number);
+            if (year < 100) year += year > new Date().getFullYear() % 100 ? 1900 : 2000;
+        } else {
+            const parsed = new Date(text.replace(/(\d)(?:st|nd|rd|th)/i, '$1'));
+            if (isNaN(parsed)) return false;
+            [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+        }
+
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day && year >= 1900 && date <= new Date();
+    }
+
+    // The nearest label in the text before position, or null
+    function labelBefore(text, position, window = LABEL_WINDOW) {
+        const start = Math.max(0, position - window);
+        const before = text.slice(start, position);
+        let nearest = null;
+
+        for (const { type, pattern } of LABELS) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(before)) !== null) {
+                if (!nearest || match.index > nearest.index) nearest = { type, index: match.index };
+            }
+        }
+        return nearest ? nearest.type : null;
+    }
+
+    function classifyNumber(text, match) {
+        const value = match[0];
+        const digits = value.replace(/\D/g, '');
+        const label = labelBefore(text, match.index);
+
+        if (/^\d{3}[- ]\d{2}[- ]\d{4}$/.test(value) && isValidSSN(digits)) return 'ssn';
+        if (digits.length === 9 && label === 'ssn' && isValidSSN(digits)) return 'ssn';
+        if (digits.length === 9 && label === 'routing' && isValidRoutingNumber(digits)) return 'routing';
+        if (label === 'account' && digits.length >= 6 && digits.length <= 17 && !DASHED_DATE.test(value)) return 'account';
+        // Unlabelled, only a passing check digit is enough to flag it
+        if (digits.length === 9 && /^\d+$/.test(value) && isValidRoutingNumber(digits)) return 'routing';
+        return null;
+    }
+
+    // Numbers are compared by their digits, text by its words
+    function normalize(type, value) {
+        return type === 'address' || (type === 'dob' && /[a-z]/i.test(value))
+            ? value.toLowerCase().replace(/\s+/g, ' ').replace(/[.,]/g, '')
+            : value.replace(/\D/g, '');
+    }
+
+    function snippet(text, index, length) {
+        const start = Math.max(0, index - 30);
+        const end = Math.min(text.length, index + length + 30);
+        return {
+            before: (start > 0 ? '…' : '') + text.slice(start, index).replace(/\s+/g, ' '),
+            match: text.slice(index, index + length),
+            after: text.slice(index + length, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '')
+        };
+    }
+
+    // The text to search on each page: its lines, then its form field values
+    function pageSources(page) {
+        const sources = [page.text || ''];
+        for (const field of page.formFields || []) {
+            if (typeof field.value === 'string' && field.value) sources.push(`${field.name}: ${field.value}`);
+        }
+        return sources;
+    }
+
+    /**
+     * Find personal data in a result. Returns one finding per distinct
+     * value: { id, type, value, pageNumbers, count, context: { before,
+     * match, after } }, in page order. Routing numbers pass the ABA check
+     * and SSNs the SSA's numbering rules; account numbers and dates of
+     * birth are only reported after a label that names them.
+     */
+    function detect(result) {
+        const findings = new Map();
+
+        const add = (type, text, index, value, pageNumber) => {
+            const key = `${type}:${normalize(type, value)}`;
+            const finding = findings.get(key);
+            if (finding) {
+                finding.count++;
+                if (!finding.pageNumbers.includes(pageNumber)) finding.pageNumbers.push(pageNumber);
+                return;
+            }
+            findings.set(key, {
+                id: key,
+                type,
+                value,
+                pageNumbers: [pageNumber],
+                count: 1,
+                context: snippet(text, index, value.length)
+            });
+        };
+
+        for (const page of result.pages) {
+            for (const text of pageSources(page)) {
+                const claimed = [];
+
+                // Matches that overlap an earlier finding are tried again
+                // from the next character, e.g. the street after a date
+                const scan = (pattern, accept) => {
+                    pattern.lastIndex = 0;
+                    let match;
+                    while ((match = pattern.exec(text)) !== null) {
+                        const value = match[0].trim();
+                        const overlaps = claimed.some(([start, end]) => match.index < end && match.index + value.length > start);
+                        const type = overlaps ? null : accept(match);
+                        if (!type) {
+                            pattern.lastIndex = match.index + 1;
+                            continue;
+                        }
+                        claimed.push([match.index, match.index + value.length]);
+                        add(type, text, match.index, value, page.pageNumber);
+                    }
+                };
+
+                scan(SPACED_SSN_PATTERN, match => classifyNumber(text, match));
+                scan(NUMBER_PATTERN, match => classifyNumber(text, match));
+                scan(DATE_PATTERN, match => (
+                    labelBefore(text, match.index, DATE_LABEL_WINDOW) === 'dob' && isBirthDate(match[0]) ? 'dob' : null
+                ));
+                scan(STREET_PATTERN, () => 'address');
+                scan(CITY_PATTERN, () => 'address');
+            }
+        }
+
+        return Array.from(findings.values());
+    }
+
+    // Counts by type, e.g. { ssn: 2, routing: 1 }
+    function summarize(findings) {
+        return findings.reduce((counts, finding) => {
+            counts[finding.type] = (counts[finding.type] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    function maskCharacters(text, keep = () => false) {
+        return Array.from(text, (char, index) => (/[A-Za-z0-9]/.test(char) && !keep(index) ? '*' : char)).join('');
+    }
+
+    /**
+     * A value as it appears after redaction. Separators are kept, so
+     * 123-45-6789 becomes ***-**-6789 when masked partially.
+     */
+    function maskValue(type, value, mode = DEFAULT_MASK) {
+        if (mode === 'label') return TYPES[type].tag;
+        if (mode === 'full' || type === 'address') return maskCharacters(value);
+
+        if (type === 'dob') {
+            const year = value.match(/\d{4}/);
+            if (!year) return maskCharacters(value);
+            return maskCharacters(value, index => index >= year.index && index < year.index + 4);
+        }
+
+        // Keep the last four digits
+        const digitPositions = [];
+        Array.from(value).forEach((char, index) => {
+            if (/\d/.test(char)) digitPositions.push(index);
+        });
+        const kept = digitPositions.slice(-4);
+        return maskCharacters(value, index => kept.includes(index));
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * A pattern that finds a value however it is written: numbers with or
+     * without separators, text with any spacing.
+     */
+    function valuePattern(finding) {
+        const digits = finding.value.replace(/\D/g, '');
+        if (/^[\d\s./-]+$/.test(finding.value) && digits.length >= 6) {
+            return new RegExp(`(?<!\\d)${digits.split('').join('[-\\s./]?')}(?!\\d)`, 'g');
+        }
+        return new RegExp(escapeRegExp(finding.value).replace(/\s+/g, '\\s+'), 'gi');
+    }
+
+    /**
+     * Where each of a line's text runs sits in the line's text, allowing for
+     * the spaces put between runs. Null when the runs don't add up to the
+     * text.
+     */
+    function runSpans(line) {
+        const spans = [];
+        let cursor = 0;
+
+        for (const item of line.items) {
+            let start = cursor;
+            if (!line.text.startsWith(item.str, start) && line.text[start] === ' ') start += 1;
+            // The line's trailing spaces are trimmed
+            const end = Math.min(start + item.str.length, line.text.length);
+            if (line.text.slice(start, end) !== item.str.slice(0, end - start)) return null;
+            spans.push({ start, end });
+            cursor = end;
+        }
+
+        return spans;
+    }
+
+    /**
+     * Mask a line across its text runs, so a value split over two runs (as
+     * in "SSN: 123-45-" and "6789") is masked in both. Returns each run's
+     * new text, or null when the runs can't be matched to the line.
+     */
+    function redactRuns(line, replacements, mode) {
+        const spans = runSpans(line);
+        if (!spans) return null;
+
+        // What each character of the line becomes; a label takes the place
+        // of the value's first character and blanks the rest
+        const characters = line.text.split('');
+        const masked = new Array(line.text.length).fill(false);
+
+        for (const { finding, pattern } of replacements) {
+            for (const match of line.text.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (masked.slice(start, end).some(Boolean)) continue;
+
+                const replacement = maskValue(finding.type, match[0], mode);
+                for (let index = start; index < end; index++) {
+                    masked[index] = true;
+                    characters[index] = replacement.length === match[0].length
+                        ? replacement[index - start]
+                        : (index === start ? replacement : '');
+                }
+            }
+        }
+
+        return line.items.map((item, index) => {
+            const { start, end } = spans[index];
+            return characters.slice(start, end).join('') + item.str.slice(end - start);
+        });
+    }
+
+    /**
+     * A copy of the result with every occurrence of the findings masked:
+     * the text, lines and text runs, tables, payroll rows and form fields.
+     * Text runs are masked line by line, so values split across runs are
+     * caught. Whole-number values equal to a finding's digits are masked too.
+     * Images are shared with the original, not copied.
+     */
+    function redactResult(result, findings, mode = DEFAULT_MASK) {
+        if (findings.length === 0) return result;
+
+        // Longer values first, so an address is masked before a number in it
+        const replacements = findings
+            .slice()
+            .sort((a, b) => b.value.length - a.value.length)
+            .map(finding => ({ finding, pattern: valuePattern(finding), digits: finding.value.replace(/\D/g, '') }));
+
+        const redactString = (text) => replacements.reduce(
+            (redacted, { finding, pattern }) => redacted.replace(pattern, match => maskValue(finding.type, match, mode)),
+            text
+        );
+
+        const redact = (value) => {
+            if (typeof value === 'string') return redactString(value);
+            if (typeof value === 'number' && Number.isInteger(value) && value > 99999) {
+                const replacement = replacements.find(({ digits }) => digits === String(value));
+                return replacement ? maskValue(replacement.finding.type, String(value), mode) : value;
+            }
+            if (Array.isArray(value)) return value.map(redact);
+            if (value && typeof value === 'object') {
+                const prototype = Object.getPrototypeOf(value);
+                if (prototype !== Object.prototype && prototype !== null) return value;
+                const copy = {};
+                for (const key of Object.keys(value)) copy[key] = redact(value[key]);
+                return copy;
+            }
+            return value;
+        };
+
+        const redacted = redact(result);
+
+        (result.pages || []).forEach((page, pageIndex) => {
+            const runs = new Map();
+            for (const line of page.lines || []) {
+                const texts = Array.isArray(line.items) ? redactRuns(line, replacements, mode) : null;
+                if (texts) line.items.forEach((item, index) => runs.set(item, texts[index]));
+            }
+            if (runs.size === 0) return;
+
+            // The copy's runs are new objects, in the same places as the original's
+            const copy = redacted.pages[pageIndex];
+            const rewrite = (originals, copies) => originals.forEach((item, index) => {
+                if (runs.has(item)) copies[index].str = runs.get(item);
+            });
+            rewrite(page.items || [], copy.items || []);
+            (page.lines || []).forEach((line, index) => rewrite(line.items || [], copy.lines[index].items));
+        });
+
+        return redacted;
+    }
+
+    const PIIDetection = {
+        TYPES,
+        MASKS,
+        DEFAULT_MASK,
+        isValidSSN,
+        isValidRoutingNumber,
+        detect,
+        summarize,
+        maskValue,
+        redactResult
+    };
+
+    root.PIIDetection = PIIDetection;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PIIDetection;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
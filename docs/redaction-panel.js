@@ -0,0 +1,194 @@
+/**
+ * BlockCell PDF Extractor - Redaction Panel
+ * Lists the personal data found in an extraction (see pii-detection.js) for
+ * review. The values left ticked are masked in every download, in copied
+ * text and in what the AI chat reads
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class RedactionPanel {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('redactionPanel'),
+            list: document.getElementById('redactionList'),
+            count: document.getElementById('redactionCount'),
+            summary: document.getElementById('redactionSummary'),
+            mode: document.getElementById('redactionMode'),
+            selectAll: document.getElementById('redactAllBtn'),
+            selectNone: document.getElementById('redactNoneBtn')
+        };
+
+        this.result = null;
+        this.findings = [];
+        this.selected = new Set();
+        this.redacted = null;
+        this.mode = this.loadMode();
+
+        this.fillModes();
+        this.bindEvents();
+    }
+
+    fillModes() {
+        const { mode } = this.elements;
+        if (!mode) return;
+
+        mode.innerHTML = Object.entries(PIIDetection.MASKS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        mode.value = this.mode;
+    }
+
+    bindEvents() {
+        const { list, mode, selectAll, selectNone } = this.elements;
+
+        if (list) {
+            list.addEventListener('change', (e) => {
+                const item = e.target.closest('.redaction-item');
+                if (!item) return;
+                if (e.target.checked) {
+                    this.selected.add(item.dataset.id);
+                } else {
+                    this.selected.delete(item.dataset.id);
+                }
+                this.update();
+            });
+        }
+
+        if (mode) mode.addEventListener('change', () => this.setMode(mode.value));
+        if (selectAll) selectAll.addEventListener('click', () => this.select(this.findings.map(finding => finding.id)));
+        if (selectNone) selectNone.addEventListener('click', () => this.select([]));
+    }
+
+    loadMode() {
+        try {
+            const stored = localStorage.getItem(RedactionPanel.MODE_KEY);
+            return PIIDetection.MASKS[stored] ? stored : PIIDetection.DEFAULT_MASK;
+        } catch (error) {
+            return PIIDetection.DEFAULT_MASK;
+        }
+    }
+
+    setMode(mode) {
+        if (!PIIDetection.MASKS[mode]) return;
+        this.mode = mode;
+        try {
+            localStorage.setItem(RedactionPanel.MODE_KEY, mode);
+        } catch (error) {
+            // Private browsing: keep the choice for this visit only
+        }
+        this.update();
+    }
+
+    /**
+     * Review a freshly extracted (or reopened) document. Everything found
+     * starts out selected for redaction.
+     */
+    setDocument(result) {
+        const { panel } = this.elements;
+
+        this.result = result;
+        this.findings = PIIDetection.detect(result);
+        this.selected = new Set(this.findings.map(finding => finding.id));
+        this.update();
+        if (panel) panel.style.display = 'block';
+    }
+
+    clear() {
+        const { panel, list } = this.elements;
+
+        this.result = null;
+        this.findings = [];
+        this.selected.clear();
+        this.redacted = null;
+        if (list) list.innerHTML = '';
+        if (panel) panel.style.display = 'none';
+    }
+
+    isActive() {
+        return this.result !== null;
+    }
+
+    // The reviewed document with the selected values masked
+    getResult() {
+        if (!this.redacted) {
+            const findings = this.findings.filter(finding => this.selected.has(finding.id));
+            this.redacted = PIIDetection.redactResult(this.result, findings, this.mode);
+        }
+        return this.redacted;
+    }
+
+    /**
+     * Mask everything found in a result that was not reviewed here, e.g.
+     * batch files and history downloads, with the chosen masking.
+     */
+    redactAll(result) {
+        return PIIDetection.redactResult(result, PIIDetection.detect(result), this.mode);
+    }
+
+    select(ids) {
+        this.selected = new Set(ids);
+        this.update();
+    }
+
+    // Re-render and tell the page the masked document changed
+    update() {
+        this.redacted = null;
+        this.render();
+        if (this.result) {
+            document.dispatchEvent(new CustomEvent('blockcell:redaction-change', {
+                detail: { result: this.getResult() }
+            }));
+        }
+    }
+
+    render() {
+        const { list, count, summary, mode, selectAll, selectNone } = this.elements;
+        const total = this.findings.length;
+
+        if (mode) mode.value = this.mode;
+        if (count) count.textContent = total > 0 ? `(${total})` : '';
+        if (selectAll) selectAll.disabled = total === 0;
+        if (selectNone) selectNone.disabled = total === 0;
+        if (summary) {
+            summary.textContent = total === 0
+                ? 'No Social Security, routing or account numbers, addresses or birth dates were found.'
+                : `${this.selected.size} of ${total} selected. Selected values are masked in downloads, ` +
+                    'copied text and the AI chat; the preview below shows the original.';
+        }
+        if (!list) return;
+
+        const escape = value => String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        list.innerHTML = this.findings.map(finding => {
+            const { before, match, after } = finding.context;
+            const pages = finding.pageNumbers.length === 1
+                ? `page ${finding.pageNumbers[0]}`
+                : `pages ${PageRange.format(finding.pageNumbers)}`;
+            const times = finding.count === 1 ? '' : `, ${finding.count} times`;
+            return `
+                <li class="redaction-item" data-id="${escape(finding.id)}">
+                    <label>
+                        <input type="checkbox" ${this.selected.has(finding.id) ? 'checked' : ''}>
+                        <span class="redaction-type">${escape(PIIDetection.TYPES[finding.type].label)}</span>
+                        <span class="redaction-value">${escape(finding.value)}</span>
+                        <i class="fas fa-arrow-right"></i>
+                        <span class="redaction-mask">${escape(PIIDetection.maskValue(finding.type, finding.value, this.mode))}</span>
+                    </label>
+                    <span class="redaction-context">${escape(before)}<mark>${escape(match)}</mark>${escape(after)}</span>
+                    <span class="redaction-pages">${pages}${times}</span>
+                </li>
+            `;
+        }).join('');
+    }
+}
+
+// localStorage key for the chosen masking
+RedactionPanel.MODE_KEY = 'blockcell-redaction-mode';
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RedactionPanel;
+}
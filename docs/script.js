@@ -5,343 +5,232 @@
  * Version: 1.0.0
  */
 
-class BlockCellPDFExtractor {
-    constructor() {
-        this.init();
-        this.bindEvents();
-        this.setupIntersectionObserver();
-    }
-
-    init() {
-        // Configuration
-        this.config = {
-            maxFileSize: 10 * 1024 * 1024, // 10MB
-            allowedTypes: ['application/pdf'],
-            animationDuration: 300,
-            processingTime: 3000 // Simulated processing time
-        };
+/**
+ * The page's public API: window.blockCellExtractor.
+ *
+ *     const result = await blockCellExtractor.extract(file, { pageRange: '1-3' });
+ *     blockCellExtractor.on('page', (e) => console.log(e.detail.page.pageNumber));
+ *     blockCellExtractor.registerExporter('csv', { suffix: '.csv', export: toCSV });
+ *
+ * Every extraction on the page goes through extract(), which emits progress,
+ * page, done and error events with detail { file, ... }. compare() diffs
+ * two PDFs.
+ */
+class BlockCellPDFExtractor extends EventTarget {
+    constructor(client = window.extractionClient) {
+        super();
+        this.client = client;
 
         // State management
         this.state = {
-            isProcessing: false,
-            currentFile: null,
-            extractedText: '',
-            dragCounter: 0
-        };
-
-        // DOM elements cache
-        this.elements = {
-            dropZone: document.getElementById('drop-zone'),
-            fileInput: document.getElementById('file-input'),
-            uploadBtn: document.getElementById('upload-btn'),
-            progressContainer: document.getElementById('progress-container'),
-            progressBar: document.getElementById('progress-bar'),
-            progressText: document.getElementById('progress-text'),
-            resultsContainer: document.getElementById('results-container'),
-            extractedContent: document.getElementById('extracted-content'),
-            downloadBtn: document.getElementById('download-btn'),
-            copyBtn: document.getElementById('copy-btn'),
-            errorContainer: document.getElementById('error-container'),
-            errorMessage: document.getElementById('error-message'),
-            filePreview: document.getElementById('file-preview'),
-            fileName: document.getElementById('file-name'),
-            fileSize: document.getElementById('file-size'),
-            clearBtn: document.getElementById('clear-btn')
+            controllers: new Set(),
+            lastResult: null
         };
 
-        this.setupInitialState();
-    }
-
-    setupInitialState() {
-        // Hide elements initially
-        if (this.elements.progressContainer) {
-            this.elements.progressContainer.style.display = 'none';
-        }
-        if (this.elements.resultsContainer) {
-            this.elements.resultsContainer.style.display = 'none';
-        }
-        if (this.elements.errorContainer) {
-            this.elements.errorContainer.style.display = 'none';
-        }
-        if (this.elements.filePreview) {
-            this.elements.filePreview.style.display = 'none';
-        }
-    }
-
-    bindEvents() {
-        // File upload events
-        this.setupFileUpload();
-        
-        // Navigation events
-        this.setupSmoothScrolling();
-        
-        // Button interactions
-        this.setupButtonInteractions();
-        
-        // Form validation
-        this.setupFormValidation();
-        
-        // Keyboard accessibility
-        this.setupKeyboardNavigation();
+        this.bindEvents();
+        this.setupIntersectionObserver();
     }
 
-    setupFileUpload() {
-        if (!this.elements.dropZone) return;
-
-        // Drag and drop events
-        this.elements.dropZone.addEventListener('dragenter', (e) => {
-            e.preventDefault();
-            this.state.dragCounter++;
-            this.elements.dropZone.classList.add('drag-over');
-        });
-
-        this.elements.dropZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-        });
-
-        this.elements.dropZone.addEventListener('dragleave', (e) => {
-            e.preventDefault();
-            this.state.dragCounter--;
-            if (this.state.dragCounter === 0) {
-                this.elements.dropZone.classList.remove('drag-over');
-            }
-        });
-
-        this.elements.dropZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.state.dragCounter = 0;
-            this.elements.dropZone.classList.remove('drag-over');
-            
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.handleFileSelection(files[0]);
-            }
-        });
+    /**
+     * Extract a PDF File. Takes the options of PDFExtractionCore.extractFile
+     * (pageRange, password, ocr, images, forms, removeHeaders, signal,
+     * onProgress, onPage)
+     * and resolves with the extraction result.
+     */
+    async extract(file, options = {}) {
+        const { signal, onProgress, onPage, ...extractOptions } = options;
 
-        // File input change
-        if (this.elements.fileInput) {
-            this.elements.fileInput.addEventListener('change', (e) => {
-                if (e.target.files.length > 0) {
-                    this.handleFileSelection(e.target.files[0]);
-                }
-            });
+        // cancel() stops this extraction as well as the caller's signal
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, { once: true });
         }
+        this.state.controllers.add(controller);
 
-        // Upload button click
-        if (this.elements.uploadBtn) {
-            this.elements.uploadBtn.addEventListener('click', () => {
-                if (this.elements.fileInput) {
-                    this.elements.fileInput.click();
+        try {
+            const result = await this.client.extract(file, {
+                ...extractOptions,
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    if (onProgress) onProgress(progress);
+                    this.emit('progress', { file, progress });
+                },
+                onPage: (page) => {
+                    if (onPage) onPage(page);
+                    this.emit('page', { file, page });
                 }
             });
-        }
-
-        // Clear button
-        if (this.elements.clearBtn) {
-            this.elements.clearBtn.addEventListener('click', () => {
-                this.clearFile();
-            });
+            this.state.lastResult = result;
+            this.emit('done', { file, result });
+            return result;
+        } catch (error) {
+            this.emit('error', { file, error });
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+            this.state.controllers.delete(controller);
         }
     }
 
-    handleFileSelection(file) {
-        // Validate file
-        const validation = this.validateFile(file);
-        if (!validation.valid) {
-            this.showError(validation.message);
-            return;
+    /**
+     * A result as a file in a registered format: { name, data, mimeType }.
+     * The built-in Excel layouts are built in the extraction worker; other
+     * formats, registered ones included, run their own export here.
+     */
+    async export(result, format) {
+        const id = HeadlessExtractor.resolveFormat(format);
+        if (!HeadlessExtractor.FORMATS[id].workbook) {
+            return HeadlessExtractor.exportResult(result, id);
         }
 
-        this.hideError();
-        this.state.currentFile = file;
-        this.showFilePreview(file);
-        this.processFile(file);
+        const data = await this.client.exportWorkbook(result, { format: id });
+        return {
+            name: HeadlessExtractor.outputFileName(result.fileName || 'document.pdf', id),
+            data,
+            mimeType: HeadlessExtractor.FORMATS[id].mimeType
+        };
     }
 
-    validateFile(file) {
-        // Check file type
-        if (!this.config.allowedTypes.includes(file.type)) {
-            return {
-                valid: false,
-                message: 'Please select a PDF file only.'
-            };
-        }
+    /**
+     * Add an export format; see HeadlessExtractor.registerFormat. It joins
+     * the export format list on the page through the exporter event.
+     */
+    registerExporter(id, definition) {
+        HeadlessExtractor.registerFormat(id, definition);
+        const format = HeadlessExtractor.listFormats().find(entry => entry.id === id);
+        this.emit('exporter', { format });
+        return format;
+    }
+
+    // Formats as { id, label, suffix, mimeType, aliases }
+    getExporters() {
+        return HeadlessExtractor.listFormats();
+    }
+
+    /**
+     * Compare two PDFs, e.g. this month's statement with last month's.
+     * Takes Files, extracted first with the options of extract(), or
+     * extraction results. options.tables adds the cell-level table diff.
+     * Resolves with the DocumentDiff report and emits compare. cancel()
+     * and options.signal stop it with CANCELLED.
+     */
+    async compare(before, after, options = {}) {
+        const { tables, signal, ...extractOptions } = options;
+
+        // Each file has its own controller, so when one fails (a wrong
+        // password, say) the other is stopped rather than left running
+        const controller = new AbortController();
+        const sides = [before, after].map(() => new AbortController());
+        const controllers = [controller, ...sides];
+        const abort = () => controllers.forEach(each => each.abort());
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, { once: true });
+        }
+        controllers.forEach(each => this.state.controllers.add(each));
 
-        // Check file size
-        if (file.size > this.config.maxFileSize) {
-            return {
-                valid: false,
-                message: `File size must be less than ${this.formatFileSize(this.config.maxFileSize)}.`
-            };
+        try {
+            const [older, newer] = await Promise.all([before, after].map((input, index) => (input.pages
+                ? input
+                : this.extract(input, { ...extractOptions, signal: sides[index].signal }).catch((error) => {
+                    sides[1 - index].abort();
+                    throw error;
+                }))));
+
+            const diff = await this.client.compare(older, newer, { tables: Boolean(tables), signal: controller.signal });
+            this.emit('compare', { before: older, after: newer, diff });
+            return diff;
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+            controllers.forEach(each => this.state.controllers.delete(each));
         }
-
-        return { valid: true };
     }
 
-    showFilePreview(file) {
-        if (!this.elements.filePreview) return;
-
-        if (this.elements.fileName) {
-            this.elements.fileName.textContent = file.name;
+    /**
+     * A comparison report as a file: { name, data, mimeType }. format is
+     * 'html' or 'xlsx'.
+     */
+    async exportComparison(diff, format = 'html') {
+        const name = DocumentDiff.outputFileName(diff, format);
+        if (format === 'html') {
+            return { name, data: DocumentDiff.toHTML(diff), mimeType: 'text/html' };
         }
-        if (this.elements.fileSize) {
-            this.elements.fileSize.textContent = this.formatFileSize(file.size);
+        if (format === 'xlsx') {
+            return { name, data: await this.client.exportComparisonWorkbook(diff), mimeType: ExcelExport.MIME_TYPE };
         }
-
-        this.elements.filePreview.style.display = 'block';
-        this.animateElement(this.elements.filePreview, 'fadeInUp');
+        throw new PDFExtractionCore.ExtractionError('UNKNOWN_FORMAT', `Unknown format "${format}". Use html or xlsx.`);
     }
 
-    clearFile() {
-        this.state.currentFile = null;
-        this.state.extractedText = '';
-        
-        if (this.elements.fileInput) {
-            this.elements.fileInput.value = '';
+    /**
+     * Stop every running extraction. Listeners of the cancel event stop
+     * their own work first (e.g. the rest of a batch). Returns true when
+     * something was running.
+     */
+    cancel() {
+        if (!this.isProcessing()) return false;
+        this.emit('cancel', {});
+        for (const controller of this.state.controllers) {
+            controller.abort();
         }
-        
-        this.hideFilePreview();
-        this.hideResults();
-        this.hideProgress();
-        this.hideError();
+        return true;
     }
 
-    hideFilePreview() {
-        if (this.elements.filePreview) {
-            this.elements.filePreview.style.display = 'none';
-        }
+    /**
+     * Load PDFs into the upload card as if they were dropped on it; several
+     * files make a batch. The page listens for open.
+     */
+    open(files) {
+        this.emit('open', { files: Array.from(files) });
     }
 
-    async processFile(file) {
-        if (this.state.isProcessing) return;
-
-        this.state.isProcessing = true;
-        this.showProgress();
-        
-        try {
-            // Simulate PDF processing
-            await this.simulateProcessing();
-            
-            // Generate mock extracted text
-            const extractedText = this.generateMockExtractedText(file.name);
-            this.state.extractedText = extractedText;
-            
-            this.hideProgress();
-            this.showResults(extractedText);
-            
-        } catch (error) {
-            this.hideProgress();
-            this.showError('An error occurred while processing the PDF. Please try again.');
-        } finally {
-            this.state.isProcessing = false;
-        }
+    /**
+     * Clear the page back to the upload step; the page listens for reset.
+     */
+    reset() {
+        this.cancel();
+        this.state.lastResult = null;
+        this.emit('reset', {});
     }
 
-    showProgress() {
-        if (!this.elements.progressContainer) return;
-
-        this.elements.progressContainer.style.display = 'block';
-        this.animateElement(this.elements.progressContainer, 'fadeInUp');
-        
-        // Reset progress
-        if (this.elements.progressBar) {
-            this.elements.progressBar.style.width = '0%';
-        }
+    // Subscribe to an event; returns a function that unsubscribes
+    on(type, listener) {
+        this.addEventListener(type, listener);
+        return () => this.removeEventListener(type, listener);
     }
 
-    hideProgress() {
-        if (this.elements.progressContainer) {
-            this.elements.progressContainer.style.display = 'none';
-        }
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
     }
 
-    async simulateProcessing() {
-        const steps = [
-            { progress: 20, message: 'Reading PDF file...' },
-            { progress: 40, message: 'Analyzing document structure...' },
-            { progress: 60, message: 'Extracting text content...' },
-            { progress: 80, message: 'Processing formatting...' },
-            { progress: 100, message: 'Complete!' }
-        ];
-
-        for (const step of steps) {
-            await this.updateProgress(step.progress, step.message);
-            await this.delay(this.config.processingTime / steps.length);
-        }
+    getLastResult() {
+        return this.state.lastResult;
     }
 
-    async updateProgress(percentage, message) {
-        if (this.elements.progressBar) {
-            this.elements.progressBar.style.width = `${percentage}%`;
-        }
-        if (this.elements.progressText) {
-            this.elements.progressText.textContent = message;
-        }
+    getExtractedText() {
+        return this.state.lastResult ? this.state.lastResult.text : '';
     }
 
-    generateMockExtractedText(fileName) {
-        return `# Extracted Text from ${fileName}
-
-This is a sample of extracted text content from your PDF file. In a real implementation, this would contain the actual text extracted from the PDF document.
-
-## Document Summary
-- File processed successfully
-- Text extraction completed
-- Ready for download or copying
-
-## Sample Content
-Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua. Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris.
-
-### Key Features Extracted:
-1. Headers and subheaders
-2. Paragraph text
-3. Lists and bullet points
-4. Special formatting
-
-This extracted content maintains the structure and formatting of the original document while providing clean, searchable text output.
-
----
-*Extraction completed at ${new Date().toLocaleString()}*`;
+    isProcessing() {
+        return this.state.controllers.size > 0;
     }
 
-    showResults(text) {
-        if (!this.elements.resultsContainer) return;
-
-        if (this.elements.extractedContent) {
-            this.elements.extractedContent.textContent = text;
-        }
-
-        this.elements.resultsContainer.style.display = 'block';
-        this.animateElement(this.elements.resultsContainer, 'fadeInUp');
+    bindEvents() {
+        // Navigation events
+        this.setupSmoothScrolling();
         
-        // Scroll to results
-        this.elements.resultsContainer.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-        });
-    }
-
-    hideResults() {
-        if (this.elements.resultsContainer) {
-            this.elements.resultsContainer.style.display = 'none';
-        }
+        // Button interactions
+        this.setupButtonInteractions();
+        
+        // Form validation
+        this.setupFormValidation();
+        
+        // Keyboard accessibility
+        this.setupKeyboardNavigation();
     }
 
     setupButtonInteractions() {
-        // Copy to clipboard
-        if (this.elements.copyBtn) {
-            this.elements.copyBtn.addEventListener('click', async () => {
-                await this.copyToClipboard();
-            });
-        }
-
-        // Download functionality
-        if (this.elements.downloadBtn) {
-            this.elements.downloadBtn.addEventListener('click', () => {
-                this.downloadText();
-            });
-        }
-
         // Add hover effects to all buttons
         const buttons = document.querySelectorAll('.btn, .button, button');
         buttons.forEach(button => {
@@ -355,46 +244,6 @@ This extracted content maintains the structure and formatting of the original do
         });
     }
 
-    async copyToClipboard() {
-        if (!this.state.extractedText) return;
-
-        try {
-            await navigator.clipboard.writeText(this.state.extractedText);
-            this.showNotification('Text copied to clipboard!', 'success');
-            
-            // Visual feedback
-            if (this.elements.copyBtn) {
-                const originalText = this.elements.copyBtn.textContent;
-                this.elements.copyBtn.textContent = 'Copied!';
-                this.elements.copyBtn.classList.add('success');
-                
-                setTimeout(() => {
-                    this.elements.copyBtn.textContent = originalText;
-                    this.elements.copyBtn.classList.remove('success');
-                }, 2000);
-            }
-        } catch (error) {
-            this.showNotification('Failed to copy text. Please try again.', 'error');
-        }
-    }
-
-    downloadText() {
-        if (!this.state.extractedText || !this.state.currentFile) return;
-
-        const blob = new Blob([this.state.extractedText], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${this.state.currentFile.name.replace('.pdf', '')}_extracted.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        
-        URL.revokeObjectURL(url);
-        this.showNotification('Download started!', 'success');
-    }
-
     setupSmoothScrolling() {
         // Smooth scrolling for navigation links
         const navLinks = document.querySelectorAll('a[href^="#"]');
@@ -462,32 +311,14 @@ This extracted content maintains the structure and formatting of the original do
     }
 
     setupKeyboardNavigation() {
-        // Enhanced keyboard navigation
+        // Escape cancels a running extraction
         document.addEventListener('keydown', (e) => {
-            // Escape key to close modals or clear current operation
             if (e.key === 'Escape') {
-                this.handleEscapeKey();
-            }
-            
-            // Enter key on file drop zone
-            if (e.key === 'Enter' && e.target === this.elements.dropZone) {
-                if (this.elements.fileInput) {
-                    this.elements.fileInput.click();
-                }
+                this.cancel();
             }
         });
     }
 
-    handleEscapeKey() {
-        // Close any open modals or reset state
-        this.hideError();
-        
-        // Clear file if processing hasn't started
-        if (!this.state.isProcessing && this.state.currentFile) {
-            this.clearFile();
-        }
-    }
-
     setupIntersectionObserver() {
         // Animate elements when they come into view
         const observerOptions = {
@@ -509,30 +340,6 @@ This extracted content maintains the structure and formatting of the original do
     }
 
     // Utility methods
-    animateElement(element, animationClass) {
-        element.classList.add(animationClass);
-        setTimeout(() => {
-            element.classList.remove(animationClass);
-        }, this.config.animationDuration);
-    }
-
-    showError(message) {
-        if (!this.elements.errorContainer) return;
-
-        if (this.elements.errorMessage) {
-            this.elements.errorMessage.textContent = message;
-        }
-        
-        this.elements.errorContainer.style.display = 'block';
-        this.animateElement(this.elements.errorContainer, 'shake');
-    }
-
-    hideError() {
-        if (this.elements.errorContainer) {
-            this.elements.errorContainer.style.display = 'none';
-        }
-    }
-
     showNotification(message, type = 'info') {
         // Create notification element if it doesn't exist
         let notification = document.getElementById('notification');
@@ -551,34 +358,6 @@ This extracted content maintains the structure and formatting of the original do
             notification.classList.remove('show');
         }, 3000);
     }
-
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-    }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    // Public API methods
-    reset() {
-        this.clearFile();
-        this.hideError();
-    }
-
-    getExtractedText() {
-        return this.state.extractedText;
-    }
-
-    isProcessing() {
-        return this.state.isProcessing;
-    }
 }
 
 // CSS Animations and Styles (injected via JavaScript)
@@ -707,9 +486,31 @@ document.addEventListener('DOMContentLoaded', () => {
     // Inject styles
     injectStyles();
     
-    // Initialize the main application
+    // Start the extraction worker behind the public API
+    window.extractionClient = new ExtractionClient();
+    
+    // Chat over the extracted document, switched on after extraction
+    window.aiChat = new AIChat();
+    
+    // Page previews for picking the page range
+    window.pageThumbnails = new PageThumbnails();
+    
+    // Searchable text preview of the extraction
+    window.textViewer = new TextViewer();
+    
+    // Past extractions kept in this browser
+    window.historyPanel = new HistoryPanel();
+    
+    // Review of the personal data found in the extraction
+    window.redactionPanel = new RedactionPanel();
+    
+    // The public API; the upload card and batch queue extract through it too
     window.blockCellExtractor = new BlockCellPDFExtractor();
     
+    // Offline use, and PDFs opened with or shared to the installed app
+    OfflineApp.register();
+    OfflineApp.receiveFiles(files => window.blockCellExtractor.open(files));
+    
     // Add global error handling
     window.addEventListener('error', (e) => {
         console.error('Global error:', e.error);
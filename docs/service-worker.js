@@ -0,0 +1,74 @@
+/**
+ * BlockCell PDF Extractor - Service Worker
+ * Caches the app shell, the vendored libraries and the OCR engine so the
+ * extractor works offline, and receives PDFs shared to the installed app
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ *
+ * The app's own files are fetched network-first so a new deployment shows
+ * up on the next load; vendor/ holds fixed library versions and is served
+ * cache-first.
+ */
+
+importScripts('offline-app.js');
+
+const SCOPE = self.registration.scope;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(OfflineApp.CACHE_NAME)
+            .then(cache => cache.addAll([...OfflineApp.APP_SHELL, ...OfflineApp.OCR_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(OfflineApp.CACHE_PREFIX) && name !== OfflineApp.CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(OfflineApp.CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Offline: ./?share-target and other query strings still get the page
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(OfflineApp.CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.searchParams.has(OfflineApp.SHARE_TARGET_PARAM)) {
+        event.respondWith(OfflineApp.stashSharedFiles(request, SCOPE));
+        return;
+    }
+
+    // Other origins (e.g. an AI backend the user configured) go straight
+    // to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(url.href.startsWith(`${SCOPE}vendor/`) ? cacheFirst(request) : networkFirst(request));
+});
@@ -0,0 +1,465 @@
+/**
+ * BlockCell PDF Extractor - Structure Export
+ * Rebuilds headings, lists, paragraphs and tables from the extracted lines
+ * and writes them out as Markdown or HTML
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const MIME_TYPES = {
+        markdown: 'text/markdown',
+        html: 'text/html'
+    };
+
+    // Lines at least this much larger than body text are headings
+    const HEADING_SIZE_RATIO = 1.15;
+    const MAX_HEADING_WORDS = 20;
+
+    // Bold lines at body size are headings only when this short
+    const MAX_BOLD_HEADING_WORDS = 12;
+
+    // Baseline distance (in line heights) above which a paragraph ends
+    const PARAGRAPH_GAP = 1.6;
+
+    // A line narrower than this share of the page's text width ends its paragraph
+    const SHORT_LINE_RATIO = 0.7;
+
+    // Room left at the right margin (in line heights) after a finished sentence
+    const SENTENCE_END_MARGIN = 2;
+
+    const MAX_HEADING_LEVEL = 6;
+
+    const BULLET_PATTERN = /^[•◦▪▫●○■□‣⁃∙·*–—-]\s+(\S.*)$/;
+    const NUMBERED_PATTERN = /^\(?(\d{1,3}|[a-z]|[ivx]{1,4})[.)]\s+(\S.*)$/i;
+    const SENTENCE_END = /[.!?:]["'”’)]?$/;
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    // Tables are optional: without TableDetection their rows become paragraphs
+    function detectTables(page) {
+        try {
+            return getModule('TableDetection', './table-detection.js').detectTables(page);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function roundSize(size) {
+        return Math.round(size * 2) / 2;
+    }
+
+    function countWords(text) {
+        return text.split(/\s+/).filter(Boolean).length;
+    }
+
+    function mostCommon(weights) {
+        let best = null;
+        let bestWeight = -1;
+        for (const [value, weight] of weights) {
+            if (weight > bestWeight) {
+                best = value;
+                bestWeight = weight;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Measure a line: its dominant font size (null on OCR pages, whose sizes
+     * are estimates), whether most of its characters are bold, and its extent.
+     */
+    function describeLine(line, page) {
+        const items = line.items.filter(item => item.str.trim() !== '');
+        const sizes = new Map();
+        let characters = 0;
+        let boldCharacters = 0;
+
+        for (const item of items) {
+            const count = item.str.replace(/\s/g, '').length;
+            const size = roundSize(item.fontSize);
+            const font = page.fonts && page.fonts[item.fontName];
+            sizes.set(size, (sizes.get(size) || 0) + count);
+            characters += count;
+            if (font && font.bold) boldCharacters += count;
+        }
+
+        return {
+            text: line.text.trim(),
+            size: page.ocr ? null : mostCommon(sizes),
+            sizes,
+            bold: characters > 0 && boldCharacters / characters > 0.5,
+            left: Math.min(...items.map(item => item.x)),
+            right: Math.max(...items.map(item => item.x + item.width)),
+            baseline: Math.max(...items.map(item => item.baseline)),
+            lineHeight: Math.max(...items.map(item => item.fontSize)) * 1.2
+        };
+    }
+
+    /**
+     * Body text is the size (and weight) that covers the most characters.
+     */
+    function findBodyStyle(lines) {
+        const sizes = new Map();
+        let characters = 0;
+        let boldCharacters = 0;
+
+        for (const line of lines) {
+            if (line.size === null) continue;
+            for (const [size, count] of line.sizes) {
+                sizes.set(size, (sizes.get(size) || 0) + count);
+            }
+        }
+
+        const size = mostCommon(sizes);
+        for (const line of lines) {
+            if (line.size !== size) continue;
+            const count = line.sizes.get(size);
+            characters += count;
+            if (line.bold) boldCharacters += count;
+        }
+
+        return { size, bold: characters > 0 && boldCharacters / characters > 0.5 };
+    }
+
+    function listMarker(text) {
+        const bullet = text.match(BULLET_PATTERN);
+        if (bullet) return { ordered: false, text: bullet[1] };
+
+        const numbered = text.match(NUMBERED_PATTERN);
+        if (!numbered) return null;
+        const label = numbered[1];
+        const type = /^\d+$/.test(label) ? '1'
+            : /^[ivx]+$/i.test(label) && label.length > 1 ? 'i'
+                : 'a';
+        return {
+            ordered: true,
+            type: label === label.toUpperCase() && type !== '1' ? type.toUpperCase() : type,
+            number: type === '1' ? parseInt(label, 10) : null,
+            text: numbered[2]
+        };
+    }
+
+    function isHeading(line, body) {
+        if (line.size === null || body.size === null) return false;
+
+        const words = countWords(line.text);
+        if (line.size >= body.size * HEADING_SIZE_RATIO) return words <= MAX_HEADING_WORDS;
+
+        // Bold means nothing when the body text is bold too
+        return line.bold && !body.bold &&
+            line.size >= body.size - 0.5 &&
+            words <= MAX_BOLD_HEADING_WORDS &&
+            !/[.,;]$/.test(line.text);
+    }
+
+    /**
+     * Join a wrapped line onto the text before it, undoing the hyphen when a
+     * word was broken at the end of the line.
+     */
+    function joinLines(text, next) {
+        if (/\u00AD$/.test(text)) return text.slice(0, -1) + next;
+        if (/[A-Za-z]-$/.test(text) && /^[a-z]/.test(next)) return text.slice(0, -1) + next;
+        if (/-$/.test(text)) return text + next;
+        return `${text} ${next}`;
+    }
+
+    /**
+     * Whether line continues the paragraph that previous ended: it sits
+     * close underneath and either carries on a sentence or previous ran on
+     * towards the right margin.
+     */
+    function continuesParagraph(previous, line, extent) {
+        const gap = line.baseline - previous.baseline;
+        if (gap <= 0 || gap > previous.lineHeight * PARAGRAPH_GAP) return false;
+        if (/^[a-z]/.test(line.text) || /[-,;]$/.test(previous.text)) return true;
+
+        const width = extent.right - extent.left;
+        if (previous.right - previous.left < width * SHORT_LINE_RATIO) return false;
+        if (SENTENCE_END.test(previous.text) &&
+            previous.right < extent.right - previous.lineHeight * SENTENCE_END_MARGIN) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Wrapped list items continue on lines indented past the marker.
+     */
+    function continuesListItem(list, line) {
+        const gap = line.baseline - list.lastLine.baseline;
+        return gap > 0 &&
+            gap <= list.lastLine.lineHeight * PARAGRAPH_GAP &&
+            line.left > list.left + line.lineHeight * 0.25;
+    }
+
+    function analyzePage(page, body, headingStyle) {
+        const blocks = [];
+        const tables = detectTables(page);
+        const emittedTables = new Set();
+        const lines = page.lines.map(line => describeLine(line, page));
+        const extent = {
+            left: Math.min(...lines.map(line => line.left)),
+            right: Math.max(...lines.map(line => line.right))
+        };
+        let current = null;
+        let previous = null;
+
+        for (const line of lines) {
+            const table = tables.find(candidate =>
+                line.baseline >= candidate.top && line.baseline <= candidate.bottom + line.lineHeight * 0.25);
+            if (table) {
+                if (!emittedTables.has(table)) {
+                    emittedTables.add(table);
+                    blocks.push({ type: 'table', pageNumber: page.pageNumber, rows: table.rows });
+                }
+                current = null;
+                previous = null;
+                continue;
+            }
+
+            const marker = listMarker(line.text);
+
+            if (isHeading(line, body)) {
+                const level = headingStyle(line);
+                const gap = previous ? line.baseline - previous.baseline : Infinity;
+                if (current && current.type === 'heading' && current.level === level &&
+                    gap <= previous.lineHeight * PARAGRAPH_GAP) {
+                    current.text = joinLines(current.text, line.text);
+                } else {
+                    current = { type: 'heading', pageNumber: page.pageNumber, level, text: line.text };
+                    blocks.push(current);
+                }
+            } else if (marker) {
+                const continues = current && current.type === 'list' &&
+                    current.ordered === marker.ordered &&
+                    line.baseline - current.lastLine.baseline <= current.lastLine.lineHeight * PARAGRAPH_GAP * 1.5;
+                if (!continues) {
+                    current = {
+                        type: 'list',
+                        pageNumber: page.pageNumber,
+                        ordered: marker.ordered,
+                        listType: marker.type || null,
+                        start: marker.number,
+                        left: line.left,
+                        items: []
+                    };
+                    blocks.push(current);
+                }
+                current.items.push(marker.text);
+                current.lastLine = line;
+            } else if (current && current.type === 'list' && continuesListItem(current, line)) {
+                const last = current.items.length - 1;
+                current.items[last] = joinLines(current.items[last], line.text);
+                current.lastLine = line;
+            } else if (current && current.type === 'paragraph' && continuesParagraph(previous, line, extent)) {
+                current.text = joinLines(current.text, line.text);
+            } else {
+                current = { type: 'paragraph', pageNumber: page.pageNumber, text: line.text };
+                blocks.push(current);
+            }
+
+            previous = line;
+        }
+
+        blocks.forEach(block => { delete block.lastLine; delete block.left; });
+        return blocks;
+    }
+
+    /**
+     * Heading levels follow the distinct heading styles, largest first and
+     * bold before regular at the same size.
+     */
+    function createHeadingStyle(lines, body) {
+        const key = line => `${line.size}|${line.bold}`;
+        const styles = new Map();
+        for (const line of lines) {
+            if (isHeading(line, body)) styles.set(key(line), line);
+        }
+
+        const ranked = [...styles.values()]
+            .sort((a, b) => b.size - a.size || Number(b.bold) - Number(a.bold))
+            .map(key);
+        return line => Math.min(ranked.indexOf(key(line)) + 1, MAX_HEADING_LEVEL);
+    }
+
+    /**
+     * A paragraph cut off by a page break carries on at the top of the next
+     * page when it stops mid-sentence and the next page starts in lowercase.
+     */
+    function joinAcrossPages(blocks) {
+        const joined = [];
+        for (const block of blocks) {
+            const last = joined[joined.length - 1];
+            if (last && last.type === 'paragraph' && block.type === 'paragraph' &&
+                last.pageNumber !== block.pageNumber && block.firstOnPage &&
+                !SENTENCE_END.test(last.text) && /^[a-z]/.test(block.text)) {
+                last.text = joinLines(last.text, block.text);
+                continue;
+            }
+            joined.push(block);
+        }
+        joined.forEach(block => { delete block.firstOnPage; });
+        return joined;
+    }
+
+    /**
+     * Turn an extraction result into blocks:
+     *   { type: 'heading', pageNumber, level, text }
+     *   { type: 'paragraph', pageNumber, text }
+     *   { type: 'list', pageNumber, ordered, listType, start, items }
+     *   { type: 'table', pageNumber, rows }
+     */
+    function analyze(result) {
+        const pages = result.pages.filter(page => page.lines.length > 0);
+        const allLines = pages.flatMap(page => page.lines.map(line => describeLine(line, page)));
+        const body = findBodyStyle(allLines);
+        const headingStyle = createHeadingStyle(allLines, body);
+
+        const blocks = pages.flatMap(page => {
+            const pageBlocks = analyzePage(page, body, headingStyle);
+            if (pageBlocks.length > 0) pageBlocks[0].firstOnPage = true;
+            return pageBlocks;
+        });
+        return joinAcrossPages(blocks);
+    }
+
+    function escapeMarkdown(text) {
+        return text
+            .replace(/[\\`*_[\]<>]/g, '\\$&')
+            .replace(/^(#{1,6}\s|[-+]\s|\d+[.)]\s|>)/, '\\$1');
+    }
+
+    function markdownTable(rows) {
+        const cell = text => escapeMarkdown(text).replace(/\|/g, '\\|');
+        const [header, ...body] = rows;
+        return [
+            `| ${header.map(cell).join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...body.map(row => `| ${row.map(cell).join(' | ')} |`)
+        ].join('\n');
+    }
+
+    function toMarkdown(result) {
+        const sections = [];
+        let pageNumber = null;
+
+        for (const block of analyze(result)) {
+            if (block.pageNumber !== pageNumber) {
+                pageNumber = block.pageNumber;
+                sections.push(`<!-- Page ${pageNumber} -->`);
+            }
+
+            switch (block.type) {
+                case 'heading':
+                    sections.push(`${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`);
+                    break;
+                case 'list':
+                    sections.push(block.items
+                        .map((item, index) => {
+                            const marker = block.ordered ? `${(block.start || 1) + index}.` : '-';
+                            return `${marker} ${escapeMarkdown(item)}`;
+                        })
+                        .join('\n'));
+                    break;
+                case 'table':
+                    sections.push(markdownTable(block.rows));
+                    break;
+                default:
+                    sections.push(escapeMarkdown(block.text));
+            }
+        }
+
+        return `${sections.join('\n\n')}\n`;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    function htmlList(block) {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const attributes = [];
+        if (block.ordered && block.listType !== '1') attributes.push(` type="${block.listType}"`);
+        if (block.ordered && block.start && block.start !== 1) attributes.push(` start="${block.start}"`);
+        const items = block.items.map(item => `  <li>${escapeHtml(item)}</li>`).join('\n');
+        return `<${tag}${attributes.join('')}>\n${items}\n</${tag}>`;
+    }
+
+    function htmlTable(rows) {
+        const [header, ...body] = rows;
+        const row = (cells, tag) => `    <tr>${cells.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+        return [
+            '<table>',
+            `  <thead>\n${row(header, 'th')}\n  </thead>`,
+            `  <tbody>\n${body.map(cells => row(cells, 'td')).join('\n')}\n  </tbody>`,
+            '</table>'
+        ].join('\n');
+    }
+
+    function toHTML(result) {
+        const parts = [];
+        let pageNumber = null;
+
+        for (const block of analyze(result)) {
+            if (block.pageNumber !== pageNumber) {
+                pageNumber = block.pageNumber;
+                parts.push(`<!-- Page ${pageNumber} -->`);
+            }
+
+            switch (block.type) {
+                case 'heading':
+                    parts.push(`<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`);
+                    break;
+                case 'list':
+                    parts.push(htmlList(block));
+                    break;
+                case 'table':
+                    parts.push(htmlTable(block.rows));
+                    break;
+                default:
+                    parts.push(`<p>${escapeHtml(block.text)}</p>`);
+            }
+        }
+
+        const title = escapeHtml((result.fileName || 'Extracted document').replace(/\.pdf$/i, ''));
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; line-height: 1.6; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; text-align: left; }
+</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    const StructureExport = {
+        MIME_TYPES,
+        analyze,
+        toMarkdown,
+        toHTML
+    };
+
+    root.StructureExport = StructureExport;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StructureExport;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
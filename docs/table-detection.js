@@ -0,0 +1,315 @@
+/**
+ * BlockCell PDF Extractor - Table Detection
+ * Rebuilds tables from the positions of pdf.js text items: finds table
+ * regions, column boundaries, row breaks and cells wrapped over several lines
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    // Baselines closer than this (in font sizes) belong to the same row
+    const ROW_TOLERANCE = 0.5;
+
+    // Horizontal gap (in font sizes) that separates two cells on a row
+    const COLUMN_GAP = 1.0;
+
+    // Vertical gap (in typical line heights) that ends a table region
+    const REGION_GAP = 2.5;
+
+    // Vertical gap (in typical line heights) within which a line can wrap a cell
+    const WRAP_GAP = 1.3;
+
+    const MIN_TABLE_ROWS = 2;
+
+    const NUMBER_PATTERN = /^(-)?\(?(-)?[$€£]?\s?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|\.\d+)\)?(-)?$/;
+
+    /**
+     * Parse an amount such as "1,200.00", "$45", "(300.50)" or "12.00-".
+     * Returns null for anything that is not a plain number, including
+     * identifiers with leading zeros.
+     */
+    function parseNumber(text) {
+        const value = String(text).trim();
+        const match = value.match(NUMBER_PATTERN);
+        if (!match || /^0\d/.test(match[3])) return null;
+
+        const opensParen = value.includes('(');
+        if (opensParen !== value.includes(')')) return null;
+
+        const number = parseFloat(match[3].replace(/,/g, ''));
+        const negative = !!(match[1] || match[2] || match[4] || opensParen);
+        return negative ? -number : number;
+    }
+
+    function getModule(name, path) {
+        if (root[name]) return root[name];
+        if (typeof require === 'function') return require(path);
+        throw new Error(`${name} is not loaded.`);
+    }
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Split an item whose string already contains wide runs of spaces
+     * ("Item     Qty") into separate pieces with estimated positions.
+     */
+    function splitItem(item) {
+        const charWidth = item.width / Math.max(item.str.length, 1);
+        const pieces = [];
+        const pattern = /\S+(?: \S+)*/g;
+        let match;
+
+        while ((match = pattern.exec(item.str)) !== null) {
+            pieces.push({
+                ...item,
+                str: match[0],
+                x: item.x + match.index * charWidth,
+                width: match[0].length * charWidth
+            });
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Group text items into visual rows ordered top to bottom, left to right.
+     */
+    function groupRows(items) {
+        const pieces = items
+            .filter(item => item.str.trim() !== '')
+            .flatMap(splitItem)
+            .sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+        const rows = [];
+
+        for (const piece of pieces) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(piece.baseline - row.baseline) <= piece.fontSize * ROW_TOLERANCE) {
+                row.items.push(piece);
+                row.top = Math.min(row.top, piece.y);
+                row.fontSize = Math.max(row.fontSize, piece.fontSize);
+            } else {
+                rows.push({
+                    baseline: piece.baseline,
+                    top: piece.y,
+                    fontSize: piece.fontSize,
+                    items: [piece]
+                });
+            }
+        }
+
+        rows.forEach(row => row.items.sort((a, b) => a.x - b.x));
+        return rows;
+    }
+
+    /**
+     * Split a row into segments wherever the gap between items is wide
+     * enough to be a column gap rather than a word space.
+     */
+    function splitSegments(row) {
+        const segments = [];
+
+        for (const item of row.items) {
+            const segment = segments[segments.length - 1];
+            const gap = segment ? item.x - segment.right : Infinity;
+
+            if (gap < item.fontSize * COLUMN_GAP) {
+                const needsSpace = gap > item.fontSize * 0.1 && !/\s$/.test(segment.text);
+                segment.text += (needsSpace ? ' ' : '') + item.str;
+                segment.right = Math.max(segment.right, item.x + item.width);
+            } else {
+                segments.push({ text: item.str, left: item.x, right: item.x + item.width });
+            }
+        }
+
+        segments.forEach(segment => { segment.text = segment.text.trim(); });
+        return segments;
+    }
+
+    /**
+     * Find runs of rows that hold two or more segments, allowing single
+     * segment rows in between (wrapped cells, section labels).
+     */
+    function findRegions(rows, lineHeight) {
+        const regions = [];
+        let current = null;
+
+        rows.forEach((row, index) => {
+            const previous = rows[index - 1];
+            const closeToPrevious = current && previous &&
+                row.baseline - previous.baseline <= lineHeight * REGION_GAP;
+
+            if (row.segments.length >= 2) {
+                if (!closeToPrevious) {
+                    current = [];
+                    regions.push(current);
+                }
+                current.push(row);
+            } else if (closeToPrevious) {
+                current.push(row);
+            } else {
+                current = null;
+            }
+        });
+
+        return regions
+            .map(region => {
+                // A region never ends on rows that only carry a single segment
+                while (region.length > 0 && region[region.length - 1].segments.length < 2) {
+                    region.pop();
+                }
+                return region;
+            })
+            .filter(region => region.filter(row => row.segments.length >= 2).length >= MIN_TABLE_ROWS);
+    }
+
+    /**
+     * Column boundaries are the x ranges covered by segments of multi-cell
+     * rows; an empty vertical band between them separates two columns.
+     */
+    function findColumns(region) {
+        const intervals = region
+            .filter(row => row.segments.length >= 2)
+            .flatMap(row => row.segments.map(segment => ({ left: segment.left, right: segment.right })))
+            .sort((a, b) => a.left - b.left);
+        const columns = [];
+
+        for (const interval of intervals) {
+            const column = columns[columns.length - 1];
+            if (column && interval.left <= column.right + 1) {
+                column.right = Math.max(column.right, interval.right);
+            } else {
+                columns.push({ ...interval });
+            }
+        }
+
+        return columns;
+    }
+
+    function columnIndexFor(segment, columns) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+
+        columns.forEach((column, index) => {
+            const overlap = Math.min(segment.right, column.right) - Math.max(segment.left, column.left);
+            const center = (segment.left + segment.right) / 2;
+            const distance = Math.abs(center - (column.left + column.right) / 2);
+            const score = overlap > 0 ? overlap : -distance;
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    function toCells(row, columns) {
+        const cells = columns.map(() => '');
+
+        for (const segment of row.segments) {
+            const index = columnIndexFor(segment, columns);
+            cells[index] = cells[index] ? `${cells[index]} ${segment.text}` : segment.text;
+        }
+
+        return cells;
+    }
+
+    /**
+     * A line continues the row above it when it sits tight underneath, only
+     * fills text cells that the row above also fills, and fills fewer of them.
+     */
+    function isContinuation(cells, previousCells, gap, lineHeight) {
+        if (gap > lineHeight * WRAP_GAP) return false;
+
+        const filled = cells.filter(cell => cell !== '').length;
+        const previousFilled = previousCells.filter(cell => cell !== '').length;
+        if (filled === 0 || filled >= previousFilled) return false;
+
+        return cells.every((cell, index) =>
+            cell === '' || (previousCells[index] !== '' && parseNumber(cell) === null));
+    }
+
+    /**
+     * Columns of running text line up like a table too. A table has at
+     * least one column of numbers or short cells.
+     */
+    function readsAsProse(rows, columns) {
+        const LayoutAnalysis = getModule('LayoutAnalysis', './layout-analysis.js');
+        return columns.every((_, index) => LayoutAnalysis.isProse(rows
+            .map(cells => cells[index])
+            .filter(cell => cell !== '')
+            .map(cell => cell.split(/\s+/).length)));
+    }
+
+    function buildTable(region, lineHeight, pageNumber) {
+        const columns = findColumns(region);
+        if (columns.length < 2) return null;
+
+        const rows = [];
+        let previous = null;
+
+        for (const row of region) {
+            const cells = toCells(row, columns);
+            const last = rows[rows.length - 1];
+
+            if (last && isContinuation(cells, last, row.baseline - previous.baseline, lineHeight)) {
+                cells.forEach((cell, index) => {
+                    if (cell) last[index] = `${last[index]} ${cell}`;
+                });
+            } else {
+                rows.push(cells);
+            }
+            previous = row;
+        }
+
+        const multiCellRows = rows.filter(cells => cells.filter(cell => cell !== '').length >= 2);
+        if (multiCellRows.length < MIN_TABLE_ROWS) return null;
+        if (readsAsProse(rows, columns)) return null;
+
+        return {
+            pageNumber,
+            top: region[0].top,
+            bottom: region[region.length - 1].baseline,
+            columns: columns.map(column => ({ left: column.left, right: column.right })),
+            rows
+        };
+    }
+
+    /**
+     * Detect the tables on an extracted page.
+     */
+    function detectTables(page) {
+        const rows = groupRows(page.items);
+        rows.forEach(row => { row.segments = splitSegments(row); });
+
+        const spacings = rows
+            .slice(1)
+            .map((row, index) => row.baseline - rows[index].baseline)
+            .filter(spacing => spacing > 0);
+        const lineHeight = median(spacings) || median(rows.map(row => row.fontSize)) * 1.2 || 12;
+
+        return findRegions(rows, lineHeight)
+            .map(region => buildTable(region, lineHeight, page.pageNumber))
+            .filter(Boolean);
+    }
+
+    const TableDetection = {
+        parseNumber,
+        groupRows,
+        splitSegments,
+        detectTables
+    };
+
+    root.TableDetection = TableDetection;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TableDetection;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
@@ -0,0 +1,345 @@
+/**
+ * BlockCell PDF Extractor - Text Viewer
+ * Shows the extracted text page by page with find (plain text or regex),
+ * highlighted matches, a page jump list and the rendered source page
+ * side by side
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+class TextViewer {
+    constructor() {
+        this.elements = {
+            body: document.getElementById('viewerBody'),
+            text: document.getElementById('viewerText'),
+            pageImage: document.getElementById('viewerPageImage'),
+            search: document.getElementById('viewerSearch'),
+            matchCount: document.getElementById('viewerMatchCount'),
+            previous: document.getElementById('viewerPrev'),
+            next: document.getElementById('viewerNext'),
+            matchCase: document.getElementById('viewerMatchCase'),
+            regex: document.getElementById('viewerRegex'),
+            pageJump: document.getElementById('viewerPageJump'),
+            sideBySide: document.getElementById('viewerSideBySide')
+        };
+
+        this.result = null;
+        this.source = null;
+        this.pdfPromise = null;
+        this.matches = [];
+        this.current = -1;
+        this.invalidPattern = false;
+        this.currentPage = null;
+        this.renderedPage = null;
+        this.scrollFrame = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const { text, search, previous, next, matchCase, regex, pageJump, sideBySide } = this.elements;
+
+        if (search) {
+            search.addEventListener('input', () => this.find());
+            search.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.step(e.shiftKey ? -1 : 1);
+                } else if (e.key === 'Escape') {
+                    search.value = '';
+                    this.find();
+                }
+            });
+        }
+        if (previous) previous.addEventListener('click', () => this.step(-1));
+        if (next) next.addEventListener('click', () => this.step(1));
+        if (matchCase) matchCase.addEventListener('change', () => this.find());
+        if (regex) regex.addEventListener('change', () => this.find());
+
+        if (pageJump) {
+            pageJump.addEventListener('change', () => this.showPage(Number(pageJump.value)));
+        }
+
+        if (sideBySide) {
+            sideBySide.addEventListener('click', () => this.setSideBySide(!this.isSideBySide()));
+        }
+
+        // Follow the page being read, for the jump list and the page image
+        if (text) {
+            text.addEventListener('scroll', () => {
+                if (this.scrollFrame) return;
+                this.scrollFrame = requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.setCurrentPage(this.pageInView());
+                });
+            });
+        }
+    }
+
+    /**
+     * Show a new extraction. source ({ file, password }) is reopened for
+     * the side-by-side page images.
+     */
+    setDocument(result, source) {
+        this.clear();
+        this.result = result;
+        this.source = source || null;
+
+        const { pageJump, sideBySide } = this.elements;
+        if (pageJump) {
+            pageJump.innerHTML = '';
+            for (const page of result.pages) {
+                pageJump.appendChild(new Option(`Page ${page.pageNumber}`, page.pageNumber));
+            }
+        }
+        if (sideBySide) sideBySide.disabled = !this.source;
+
+        this.find();
+        this.setCurrentPage(result.pages.length > 0 ? result.pages[0].pageNumber : null);
+    }
+
+    clear() {
+        const { text, pageImage, matchCount } = this.elements;
+
+        this.result = null;
+        this.source = null;
+        this.matches = [];
+        this.current = -1;
+        this.currentPage = null;
+        this.renderedPage = null;
+        if (text) text.innerHTML = '';
+        if (pageImage) pageImage.innerHTML = '';
+        if (matchCount) matchCount.textContent = '';
+
+        const pdfPromise = this.pdfPromise;
+        this.pdfPromise = null;
+        if (pdfPromise) pdfPromise.then(pdf => pdf.destroy(), () => {});
+    }
+
+    /**
+     * Build the search pattern from the find box. Returns null for an empty
+     * query and throws on an invalid regular expression.
+     */
+    pattern() {
+        const { search, matchCase, regex } = this.elements;
+        const query = search ? search.value : '';
+        if (!query) return null;
+
+        const flags = `g${matchCase && matchCase.checked ? '' : 'i'}`;
+        const source = regex && regex.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, flags);
+    }
+
+    find() {
+        const { search } = this.elements;
+        if (!this.result) return;
+
+        let pattern = null;
+        try {
+            pattern = this.pattern();
+            this.invalidPattern = false;
+        } catch (error) {
+            this.invalidPattern = true;
+        }
+        if (search) search.classList.toggle('error', this.invalidPattern);
+
+        this.matches = [];
+        this.render(pattern);
+        this.current = -1;
+
+        if (this.invalidPattern) {
+            this.updateMatchCount('Invalid pattern');
+        } else if (pattern) {
+            this.step(1);
+        } else {
+            this.updateMatchCount('');
+        }
+    }
+
+    /**
+     * Render every page with its matches wrapped in <mark>, stopping at
+     * MAX_MATCHES so a one-letter query stays responsive.
+     */
+    render(pattern) {
+        const { text } = this.elements;
+        if (!text) return;
+
+        const escape = value => value.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+
+        const sections = this.result.pages.map(page => {
+            let html = '';
+            let last = 0;
+
+            if (pattern) {
+                pattern.lastIndex = 0;
+                let match;
+                while (this.matches.length < TextViewer.MAX_MATCHES && (match = pattern.exec(page.text))) {
+                    if (match[0] === '') {
+                        pattern.lastIndex++;
+                        continue;
+                    }
+                    html += escape(page.text.slice(last, match.index));
+                    html += `<mark data-match="${this.matches.length}">${escape(match[0])}</mark>`;
+                    last = match.index + match[0].length;
+                    this.matches.push(page.pageNumber);
+                }
+            }
+            html += escape(page.text.slice(last));
+
+            const label = page.ocr
+                ? `Page ${page.pageNumber} (OCR, ${page.ocr.confidence}% confidence)`
+                : `Page ${page.pageNumber}`;
+            const quality = page.quality && page.quality.level !== 'good'
+                ? `<span class="quality-flag quality-${page.quality.level}">${page.quality.issues
+                    .map(issue => DocumentStats.describeIssue(issue, page)).join(', ')}</span>`
+                : '';
+            return `
+                <section class="viewer-page" data-page="${page.pageNumber}">
+                    <h5 class="viewer-page-label">${label} ${quality}</h5>
+                    <pre>${html}</pre>
+                </section>
+            `;
+        });
+
+        text.innerHTML = sections.join('');
+    }
+
+    step(direction) {
+        const { text, search } = this.elements;
+        if (this.invalidPattern) return;
+        if (this.matches.length === 0) {
+            this.updateMatchCount(search && search.value ? 'No matches' : '');
+            return;
+        }
+
+        const previous = text.querySelector('mark.current');
+        if (previous) previous.classList.remove('current');
+
+        this.current = (this.current + direction + this.matches.length) % this.matches.length;
+        const mark = text.querySelector(`mark[data-match="${this.current}"]`);
+        mark.classList.add('current');
+        this.scrollTo(mark);
+        this.setCurrentPage(this.matches[this.current]);
+
+        const capped = this.matches.length >= TextViewer.MAX_MATCHES ? '+' : '';
+        this.updateMatchCount(`${this.current + 1} of ${this.matches.length}${capped}`);
+    }
+
+    updateMatchCount(message) {
+        const { matchCount, previous, next } = this.elements;
+        if (matchCount) matchCount.textContent = message;
+        if (previous) previous.disabled = this.matches.length === 0;
+        if (next) next.disabled = this.matches.length === 0;
+    }
+
+    // Scroll the text pane only, not the whole page
+    scrollTo(element, block = 'center') {
+        const { text } = this.elements;
+        const paneTop = text.getBoundingClientRect().top;
+        const offset = element.getBoundingClientRect().top - paneTop + text.scrollTop;
+        text.scrollTop = block === 'start' ? offset : offset - text.clientHeight / 2;
+    }
+
+    /**
+     * Scroll to a page's text and select it in the jump list.
+     */
+    showPage(pageNumber) {
+        const { text } = this.elements;
+        const section = text && text.querySelector(`.viewer-page[data-page="${pageNumber}"]`);
+        if (!section) return false;
+
+        this.scrollTo(section, 'start');
+        this.setCurrentPage(pageNumber);
+        return true;
+    }
+
+    pageInView() {
+        const { text } = this.elements;
+        const paneTop = text.getBoundingClientRect().top;
+        let pageNumber = null;
+
+        for (const section of text.querySelectorAll('.viewer-page')) {
+            if (section.getBoundingClientRect().top - paneTop > text.clientHeight / 3) break;
+            pageNumber = Number(section.dataset.page);
+        }
+        return pageNumber;
+    }
+
+    setCurrentPage(pageNumber) {
+        if (pageNumber === null || pageNumber === this.currentPage) return;
+        this.currentPage = pageNumber;
+
+        const { pageJump } = this.elements;
+        if (pageJump) pageJump.value = String(pageNumber);
+        if (this.isSideBySide()) this.renderPageImage(pageNumber);
+    }
+
+    isSideBySide() {
+        const { body } = this.elements;
+        return !!body && body.classList.contains('side-by-side');
+    }
+
+    setSideBySide(enabled) {
+        const { body, pageImage, sideBySide } = this.elements;
+        if (!body || !this.source) return;
+
+        body.classList.toggle('side-by-side', enabled);
+        if (pageImage) pageImage.hidden = !enabled;
+        if (sideBySide) sideBySide.setAttribute('aria-pressed', String(enabled));
+        if (enabled && this.currentPage !== null) this.renderPageImage(this.currentPage);
+    }
+
+    openSource() {
+        if (!this.pdfPromise) {
+            const { file, password } = this.source;
+            this.pdfPromise = PDFExtractionCore.readFile(file)
+                .then(data => PDFExtractionCore.openDocument(data, { password }));
+        }
+        return this.pdfPromise;
+    }
+
+    async renderPageImage(pageNumber) {
+        const { pageImage } = this.elements;
+        if (!pageImage || this.renderedPage === pageNumber) return;
+        this.renderedPage = pageNumber;
+
+        const result = this.result;
+        try {
+            const pdf = await this.openSource();
+            const page = await pdf.getPage(pageNumber);
+            try {
+                const pixelRatio = window.devicePixelRatio || 1;
+                const width = pageImage.clientWidth || 400;
+                const unscaled = page.getViewport({ scale: 1 });
+                const viewport = page.getViewport({ scale: width / unscaled.width * pixelRatio });
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(viewport.width);
+                canvas.height = Math.ceil(viewport.height);
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+                // Another page or document took over while this one rendered
+                if (this.result !== result || this.renderedPage !== pageNumber) return;
+                canvas.setAttribute('aria-label', `Page ${pageNumber} of the PDF`);
+                pageImage.innerHTML = '';
+                pageImage.appendChild(canvas);
+            } finally {
+                page.cleanup();
+            }
+        } catch (error) {
+            if (this.result !== result || this.renderedPage !== pageNumber) return;
+            console.error('Page preview failed:', error);
+            pageImage.innerHTML = '<p class="viewer-page-error">This page could not be shown.</p>';
+        }
+    }
+}
+
+// Highlighted matches are capped to keep the preview responsive
+TextViewer.MAX_MATCHES = 5000;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextViewer;
+}
@@ -8,8 +8,37 @@ document.addEventListener('DOMContentLoaded', function() {
     const resultsCard = document.getElementById('resultsCard');
     const extractBtn = document.getElementById('extractBtn');
     const loadingOverlay = document.getElementById('loadingOverlay');
+    const pageRangeInput = document.getElementById('pageRange');
+    const passwordInput = document.getElementById('passwordInput');
+    const extractBtnText = document.getElementById('extractBtnText');
+    const exportFormatSelect = document.getElementById('exportFormat');
+    const ocrModeSelect = document.getElementById('ocrMode');
+    const extractImagesCheckbox = document.getElementById('extractImages');
+    const extractFormsCheckbox = document.getElementById('extractForms');
+    const removeHeadersCheckbox = document.getElementById('removeHeaders');
+    const redactPIICheckbox = document.getElementById('redactPII');
+    const batchQueueElement = document.getElementById('batchQueue');
+    const queueList = document.getElementById('queueList');
+    const batchSummary = document.getElementById('batchSummary');
+    const batchDownloads = document.getElementById('batchDownloads');
+    const cancelBatchBtn = document.getElementById('cancelBatchBtn');
+    const compareBtn = document.getElementById('compareBtn');
+    const compareCard = document.getElementById('compareCard');
+    
+    const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB limit
+    const BATCH_CONCURRENCY = 2;
+    
+    // Export formats that reconstruct tables: comparisons diff their cells
+    const TABULAR_FORMATS = ['excel-structured', 'excel-payroll'];
     
     let currentFile = null;
+    let currentResult = null;
+    let batchQueue = null;
+    let galleryUrls = [];
+    let comparison = null;
+    
+    // The history entry of the extraction on screen, once it is saved
+    let currentHistoryEntry = Promise.resolve(null);
     
     // Make upload area clickable
     if (uploadArea) {
@@ -35,48 +64,92 @@ document.addEventListener('DOMContentLoaded', function() {
             uploadArea.style.borderColor = '';
             uploadArea.style.backgroundColor = '';
             
-            const files = e.dataTransfer.files;
-            if (files.length > 0 && files[0].type === 'application/pdf') {
-                handleFileSelect(files[0]);
-            } else {
-                alert('Please select a PDF file');
-            }
+            handleFiles(e.dataTransfer.files);
         });
     }
     
     // File input change
     if (fileInput) {
         fileInput.addEventListener('change', function(e) {
-            if (e.target.files.length > 0) {
-                handleFileSelect(e.target.files[0]);
-            }
+            handleFiles(e.target.files);
         });
     }
     
-    function handleFileSelect(file) {
-        if (file.type !== 'application/pdf') {
+    // One file keeps the single-file flow; several files (or adding to an
+    // existing batch) go through the queue
+    function handleFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) {
             alert('Please select a PDF file');
             return;
         }
         
-        if (file.size > 50 * 1024 * 1024) { // 50MB limit
-            alert('File size must be less than 50MB');
+        if (files.length === 1 && !batchQueue) {
+            handleFileSelect(files[0]);
+            return;
+        }
+        
+        const skipped = [];
+        const accepted = files.filter(file => {
+            const problem = validateFile(file);
+            if (problem) skipped.push(`${file.name}: ${problem}`);
+            return !problem;
+        });
+        
+        if (skipped.length > 0) {
+            alert(`Some files were skipped:\n${skipped.join('\n')}`);
+        }
+        if (accepted.length === 0) return;
+        
+        // A file picked earlier joins the batch instead of being dropped
+        if (!batchQueue && currentFile) accepted.unshift(currentFile);
+        addToBatch(accepted);
+    }
+    
+    function validateFile(file) {
+        if (file.type !== 'application/pdf') return 'Please select a PDF file';
+        if (file.size > MAX_FILE_SIZE) return 'File size must be less than 50MB';
+        return null;
+    }
+    
+    function handleFileSelect(file) {
+        const problem = validateFile(file);
+        if (problem) {
+            alert(problem);
             return;
         }
         
         currentFile = file;
         showFilePreview(file);
         showOptionsCard();
+        loadPageThumbnails(file);
+    }
+    
+    // The thumbnails open the PDF, which also gives the preview its real details
+    async function loadPageThumbnails(file) {
+        if (!window.pageThumbnails) return;
+        
+        const details = await window.pageThumbnails.load(file, passwordInput ? passwordInput.value : '');
+        if (!details || file !== currentFile) return;
+        
+        const filePages = document.getElementById('filePages');
+        const fileDate = document.getElementById('fileDate');
+        if (filePages) filePages.textContent = `${details.pageCount} ${details.pageCount === 1 ? 'page' : 'pages'}`;
+        if (fileDate && details.metadata.creationDate) {
+            fileDate.textContent = `Created ${new Date(details.metadata.creationDate).toLocaleDateString()}`;
+        }
     }
     
     function showFilePreview(file) {
         const fileName = document.getElementById('fileName');
         const fileSize = document.getElementById('fileSize');
         const fileDate = document.getElementById('fileDate');
+        const filePages = document.getElementById('filePages');
         
         if (fileName) fileName.textContent = file.name;
         if (fileSize) fileSize.textContent = formatFileSize(file.size);
-        if (fileDate) fileDate.textContent = new Date(file.lastModified).toLocaleDateString();
+        if (fileDate) fileDate.textContent = `Modified ${new Date(file.lastModified).toLocaleDateString()}`;
+        if (filePages) filePages.textContent = '';
         
         if (filePreview) filePreview.style.display = 'block';
     }
@@ -96,30 +169,507 @@ document.addEventListener('DOMContentLoaded', function() {
     // Extract button functionality
     if (extractBtn) {
         extractBtn.addEventListener('click', function() {
+            if (batchQueue) {
+                startBatch();
+                return;
+            }
+            
             if (!currentFile) {
                 alert('Please select a PDF file first');
                 return;
             }
             
-            extractPDF();
+            const pageRange = pageRangeInput ? pageRangeInput.value : '';
+            const selection = PageRange.parse(pageRange);
+            if (!selection.valid) {
+                alert(selection.message);
+                if (pageRangeInput) pageRangeInput.focus();
+                return;
+            }
+            
+            const password = passwordInput ? passwordInput.value : '';
+            const ocr = ocrModeSelect ? ocrModeSelect.value : 'auto';
+            const images = extractImagesCheckbox ? extractImagesCheckbox.checked : false;
+            const forms = extractFormsCheckbox ? extractFormsCheckbox.checked : false;
+            const removeHeaders = removeHeadersCheckbox ? removeHeadersCheckbox.checked : false;
+            const redact = redactPIICheckbox ? redactPIICheckbox.checked : false;
+            clearPasswordError();
+            extractPDF({ pageRange, password, ocr, images, forms, removeHeaders, redact });
+        });
+    }
+    
+    if (passwordInput) {
+        passwordInput.addEventListener('input', clearPasswordError);
+        
+        // Retry the page previews once the password is in
+        passwordInput.addEventListener('change', function() {
+            const thumbnails = window.pageThumbnails;
+            if (currentFile && thumbnails && thumbnails.needsPassword() && passwordInput.value) {
+                loadPageThumbnails(currentFile);
+            }
         });
     }
     
-    function extractPDF() {
+    async function extractPDF(options) {
         // Show loading overlay
         if (loadingOverlay) loadingOverlay.style.display = 'flex';
+        updateProgress({ pageNumber: null, completed: 0, total: 0, remainingMs: null });
         
-        // Simulate PDF processing
-        setTimeout(function() {
-            // Hide loading overlay
+        // Redaction happens on the page, after extraction
+        const { redact, ...extractOptions } = options;
+        
+        let result;
+        try {
+            result = await window.blockCellExtractor.extract(currentFile, { ...extractOptions, onProgress: updateProgress });
+        } catch (error) {
             if (loadingOverlay) loadingOverlay.style.display = 'none';
+            handleExtractionError(error);
+            return;
+        }
+        
+        // Hide loading overlay
+        if (loadingOverlay) loadingOverlay.style.display = 'none';
+        
+        showResults(result, redact);
+        currentHistoryEntry = saveToHistory(currentFile, options, outputResult());
+    }
+    
+    // Everything but the password is kept with the result. With Personal
+    // Data on, result is the masked copy: the originals never reach storage
+    function saveToHistory(file, options, result) {
+        if (!window.historyPanel) return Promise.resolve(null);
+        const { pageRange, ocr, images, forms, removeHeaders, redact } = options;
+        const format = options.format || (exportFormatSelect ? exportFormatSelect.value : 'excel-simple');
+        return window.historyPanel.save(file, { pageRange, ocr, images, forms, removeHeaders, redact, format }, result);
+    }
+    
+    function updateProgress(progress) {
+        const loadingText = document.getElementById('loadingText');
+        const loadingSubtext = document.getElementById('loadingSubtext');
+        const progressFill = document.getElementById('progressFill');
+        const percentage = progress.total > 0 ? Math.round(progress.completed / progress.total * 100) : 0;
+        
+        if (progressFill) progressFill.style.width = `${percentage}%`;
+        
+        if (loadingText) loadingText.textContent = describeProgress(progress);
+        
+        if (loadingSubtext) {
+            loadingSubtext.textContent = progress.remainingMs === null
+                ? 'Estimating time left...'
+                : `About ${formatDuration(progress.remainingMs)} left`;
+        }
+    }
+    
+    function describeProgress(progress) {
+        if (progress.pageNumber && progress.stage === 'ocr') {
+            return `Reading page ${progress.completed + 1} of ${progress.total} with OCR`;
+        }
+        if (progress.pageNumber) return `Page ${progress.completed + 1} of ${progress.total}`;
+        return progress.total > 0 ? 'Finishing up...' : 'Opening PDF...';
+    }
+    
+    // Short runs keep a decimal so a quick extraction does not read as 1s
+    function formatProcessingTime(ms) {
+        return ms < 10000 ? `${(ms / 1000).toFixed(1)}s` : formatDuration(ms);
+    }
+    
+    function formatDuration(ms) {
+        const seconds = Math.max(1, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes} min ${seconds % 60}s`;
+    }
+    
+    function handleExtractionError(error) {
+        if (!(error instanceof PDFExtractionCore.ExtractionError)) {
+            console.error('PDF extraction failed:', error);
+            alert('Could not extract text from this PDF. Please make sure the file is a valid PDF and try again.');
+            return;
+        }
+        
+        if (error.code === 'CANCELLED') return;
+        
+        if (error.code === 'PASSWORD_REQUIRED' || error.code === 'INCORRECT_PASSWORD') {
+            showPasswordError(error.message);
+            return;
+        }
+        
+        alert(error.message);
+        if (error.code === 'INVALID_PAGE_RANGE' && pageRangeInput) pageRangeInput.focus();
+        if (error.code === 'OCR_UNAVAILABLE' && ocrModeSelect) ocrModeSelect.focus();
+    }
+    
+    function showPasswordError(message) {
+        if (!passwordInput) {
+            alert(message);
+            return;
+        }
+        
+        let errorElement = passwordInput.parentNode.querySelector('.field-error');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            passwordInput.parentNode.appendChild(errorElement);
+        }
+        errorElement.textContent = message;
+        
+        passwordInput.classList.add('error');
+        passwordInput.value = '';
+        passwordInput.focus();
+        if (extractBtnText) extractBtnText.textContent = 'Unlock & Extract';
+    }
+    
+    function clearPasswordError() {
+        if (!passwordInput) return;
+        
+        passwordInput.classList.remove('error');
+        const errorElement = passwordInput.parentNode.querySelector('.field-error');
+        if (errorElement) errorElement.remove();
+        updateExtractButton();
+    }
+    
+    function updateExtractButton() {
+        if (!extractBtnText) return;
+        
+        if (!batchQueue) {
+            extractBtnText.textContent = 'Extract Data';
+            return;
+        }
+        
+        const pending = batchQueue.jobs.filter(job => job.status !== BatchQueue.STATUS.DONE).length;
+        extractBtnText.textContent = pending > 0
+            ? `Extract ${pending} ${pending === 1 ? 'File' : 'Files'}`
+            : 'All Files Extracted';
+    }
+    
+    // Batch queue
+    function addToBatch(files) {
+        if (!batchQueue) {
+            // Jobs of a cleared batch can still report back while they abort
+            const queue = new BatchQueue({
+                concurrency: BATCH_CONCURRENCY,
+                process: runBatchJob,
+                onUpdate: job => {
+                    if (batchQueue === queue) renderQueueItem(job);
+                }
+            });
+            batchQueue = queue;
+            currentFile = null;
+            clearPasswordError();
+            if (window.pageThumbnails) window.pageThumbnails.clear();
+            if (filePreview) filePreview.style.display = 'none';
+            if (batchQueueElement) batchQueueElement.style.display = 'block';
+        }
+        
+        files.forEach(file => batchQueue.add(file));
+        showOptionsCard();
+        updateBatchSummary();
+    }
+    
+    // Per-file overrides win over the settings card
+    function effectiveOptions(job) {
+        return {
+            pageRange: job.overrides.pageRange || (pageRangeInput ? pageRangeInput.value : ''),
+            password: job.overrides.password || (passwordInput ? passwordInput.value : ''),
+            format: job.overrides.format || (exportFormatSelect ? exportFormatSelect.value : 'excel-simple')
+        };
+    }
+    
+    function runBatchJob(job, { signal, onProgress }) {
+        const { pageRange, password, format } = effectiveOptions(job);
+        const ocr = ocrModeSelect ? ocrModeSelect.value : 'auto';
+        // The Images (.zip) format needs them even with the option off, as on the command line
+        const images = (extractImagesCheckbox ? extractImagesCheckbox.checked : false) || format === 'images';
+        const forms = extractFormsCheckbox ? extractFormsCheckbox.checked : false;
+        const removeHeaders = removeHeadersCheckbox ? removeHeadersCheckbox.checked : false;
+        const redact = redactPIICheckbox ? redactPIICheckbox.checked : false;
+        return window.blockCellExtractor.extract(job.file, { pageRange, password, ocr, images, forms, removeHeaders, signal, onProgress })
+            .then(result => {
+                saveToHistory(job.file, { ...effectiveOptions(job), ocr, images, forms, removeHeaders, redact }, redactIfChosen(result));
+                return result;
+            });
+    }
+    
+    async function startBatch() {
+        const queue = batchQueue;
+        if (queue.isRunning()) return;
+        
+        const selection = PageRange.parse(pageRangeInput ? pageRangeInput.value : '');
+        if (!selection.valid) {
+            alert(selection.message);
+            if (pageRangeInput) pageRangeInput.focus();
+            return;
+        }
+        
+        // Another run retries whatever failed or was cancelled last time
+        queue.jobs
+            .filter(job => job.status === BatchQueue.STATUS.FAILED || job.status === BatchQueue.STATUS.CANCELLED)
+            .forEach(job => queue.requeue(job.id));
+        
+        if (extractBtn) extractBtn.disabled = true;
+        if (cancelBatchBtn) cancelBatchBtn.style.display = 'flex';
+        if (batchDownloads) batchDownloads.style.display = 'none';
+        
+        await queue.start();
+        
+        // The batch may have been cleared while it was running
+        if (batchQueue !== queue) return;
+        
+        if (extractBtn) extractBtn.disabled = false;
+        if (cancelBatchBtn) cancelBatchBtn.style.display = 'none';
+        if (batchDownloads && queue.completedJobs().length > 0) {
+            batchDownloads.style.display = 'flex';
+        }
+        updateBatchSummary();
+    }
+    
+    function updateBatchSummary() {
+        updateExtractButton();
+        if (compareBtn) compareBtn.style.display = batchQueue && batchQueue.jobs.length === 2 ? 'flex' : 'none';
+        if (!batchSummary || !batchQueue) return;
+        
+        const count = status => batchQueue.jobs.filter(job => job.status === status).length;
+        const total = batchQueue.jobs.length;
+        const parts = [`${total} ${total === 1 ? 'file' : 'files'}`];
+        if (count(BatchQueue.STATUS.DONE) > 0) parts.push(`${count(BatchQueue.STATUS.DONE)} done`);
+        if (count(BatchQueue.STATUS.FAILED) > 0) parts.push(`${count(BatchQueue.STATUS.FAILED)} failed`);
+        if (count(BatchQueue.STATUS.CANCELLED) > 0) parts.push(`${count(BatchQueue.STATUS.CANCELLED)} cancelled`);
+        batchSummary.textContent = parts.join(' · ');
+    }
+    
+    function describeJob(job) {
+        switch (job.status) {
+            case BatchQueue.STATUS.PROCESSING:
+                return job.progress ? describeProgress(job.progress) : 'Opening PDF...';
+            case BatchQueue.STATUS.DONE: {
+                const pages = job.result.pageNumbers.length;
+                return `Done · ${pages} ${pages === 1 ? 'page' : 'pages'}`;
+            }
+            case BatchQueue.STATUS.FAILED:
+                return job.error instanceof PDFExtractionCore.ExtractionError
+                    ? job.error.message
+                    : 'Could not extract text from this PDF.';
+            case BatchQueue.STATUS.CANCELLED:
+                return 'Cancelled';
+            default:
+                return 'Queued';
+        }
+    }
+    
+    function createQueueItem(job) {
+        const item = document.createElement('li');
+        item.className = 'queue-item';
+        item.dataset.jobId = job.id;
+        item.innerHTML = `
+            <div class="queue-item-main">
+                <i class="fas fa-file-pdf"></i>
+                <div class="queue-item-details">
+                    <span class="queue-item-name"></span>
+                    <span class="queue-status"></span>
+                    <div class="queue-progress"><div class="queue-progress-fill"></div></div>
+                </div>
+                <button class="btn-icon" data-action="retry" title="Retry this file"><i class="fas fa-redo"></i></button>
+                <button class="btn-icon" data-action="settings" title="Settings for this file"><i class="fas fa-sliders-h"></i></button>
+                <button class="btn-icon" data-action="remove" title="Remove from queue"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="queue-item-options" hidden>
+                <input type="text" data-option="pageRange" placeholder="Page range (default)">
+                <input type="password" data-option="password" placeholder="Password (default)" autocomplete="off">
+                <select data-option="format"><option value="">Default format</option></select>
+            </div>
+        `;
+        item.querySelector('.queue-item-name').textContent = job.file.name;
+        
+        const formatSelect = item.querySelector('[data-option="format"]');
+        if (exportFormatSelect) {
+            for (const option of exportFormatSelect.options) {
+                formatSelect.appendChild(new Option(option.textContent, option.value));
+            }
+        }
+        
+        item.querySelectorAll('[data-option]').forEach(input => {
+            input.addEventListener('input', () => {
+                job.overrides[input.dataset.option] = input.value.trim();
+            });
+        });
+        
+        return item;
+    }
+    
+    function renderQueueItem(job) {
+        if (!queueList) return;
+        
+        let item = queueList.querySelector(`[data-job-id="${job.id}"]`);
+        if (!item) {
+            item = createQueueItem(job);
+            queueList.appendChild(item);
+        }
+        
+        const progress = job.progress;
+        const percentage = job.status === BatchQueue.STATUS.DONE ? 100
+            : (progress && progress.total > 0 ? Math.round(progress.completed / progress.total * 100) : 0);
+        const status = item.querySelector('.queue-status');
+        status.className = `queue-status ${job.status}`;
+        status.textContent = describeJob(job);
+        item.querySelector('.queue-progress-fill').style.width = `${percentage}%`;
+        
+        const finished = job.status === BatchQueue.STATUS.FAILED || job.status === BatchQueue.STATUS.CANCELLED;
+        item.querySelector('[data-action="retry"]').style.display = finished ? '' : 'none';
+        item.querySelector('[data-action="remove"]').disabled = job.status === BatchQueue.STATUS.PROCESSING;
+        
+        updateBatchSummary();
+    }
+    
+    if (queueList) {
+        queueList.addEventListener('click', function(e) {
+            const button = e.target.closest('[data-action]');
+            if (!button || !batchQueue) return;
+            
+            const item = button.closest('.queue-item');
+            const jobId = Number(item.dataset.jobId);
             
-            // Show results
-            showResults();
-        }, 3000);
+            switch (button.dataset.action) {
+                case 'settings': {
+                    const options = item.querySelector('.queue-item-options');
+                    options.hidden = !options.hidden;
+                    break;
+                }
+                case 'retry':
+                    batchQueue.requeue(jobId);
+                    startBatch();
+                    break;
+                case 'remove':
+                    if (!batchQueue.remove(jobId)) break;
+                    item.remove();
+                    if (batchQueue.jobs.length === 0) {
+                        clearBatch();
+                    } else {
+                        updateBatchSummary();
+                    }
+                    break;
+            }
+        });
+    }
+    
+    function clearBatch() {
+        if (batchQueue) batchQueue.cancel();
+        batchQueue = null;
+        if (queueList) queueList.innerHTML = '';
+        if (batchQueueElement) batchQueueElement.style.display = 'none';
+        if (batchDownloads) batchDownloads.style.display = 'none';
+        if (cancelBatchBtn) cancelBatchBtn.style.display = 'none';
+        if (compareBtn) compareBtn.style.display = 'none';
+        if (extractBtn) extractBtn.disabled = false;
+        updateExtractButton();
+    }
+    
+    // Comparison: the first file in the queue is the older one
+    async function compareBatch() {
+        const queue = batchQueue;
+        if (!queue || queue.jobs.length !== 2 || queue.isRunning()) return;
+        
+        await startBatch();
+        
+        // Failed files show why in their queue row
+        if (batchQueue !== queue || !queue.jobs.every(job => job.status === BatchQueue.STATUS.DONE)) return;
+        
+        // The report is a download too, so Personal Data masking applies
+        comparison = { results: queue.jobs.map(job => redactIfChosen(job.result)), diff: null };
+        await runComparison();
+    }
+    
+    async function runComparison() {
+        const [before, after] = comparison.results;
+        const format = exportFormatSelect ? exportFormatSelect.value : 'excel-simple';
+        
+        try {
+            comparison.diff = await window.blockCellExtractor.compare(before, after, {
+                tables: TABULAR_FORMATS.includes(format)
+            });
+        } catch (error) {
+            if (error.code === 'CANCELLED') return;
+            console.error('Comparison failed:', error);
+            alert('Could not compare the files. Please try again.');
+            return;
+        }
+        
+        showComparison(comparison.diff);
+    }
+    
+    function swapComparison() {
+        if (!comparison) return;
+        comparison.results.reverse();
+        runComparison();
+    }
+    
+    function showComparison(diff) {
+        if (uploadCard) uploadCard.style.display = 'none';
+        if (optionsCard) optionsCard.style.display = 'none';
+        if (resultsCard) resultsCard.style.display = 'none';
+        if (!compareCard) return;
+        
+        const compareStats = document.getElementById('compareStats');
+        if (compareStats) {
+            const describe = (label, entry) => {
+                const pages = entry.pageNumbers.length;
+                return `<span>📄 ${label}: ${escapeHtml(entry.fileName)} (${pages} ${pages === 1 ? 'page' : 'pages'})</span>`;
+            };
+            compareStats.innerHTML = describe('Before', diff.before) + describe('After', diff.after);
+        }
+        
+        const compareReport = document.getElementById('compareReport');
+        if (compareReport) compareReport.innerHTML = DocumentDiff.renderReport(diff);
+        
+        compareCard.style.display = 'block';
+        compareCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    function clearComparison() {
+        comparison = null;
+        const compareReport = document.getElementById('compareReport');
+        if (compareReport) compareReport.innerHTML = '';
+        if (compareCard) compareCard.style.display = 'none';
+    }
+    
+    async function downloadComparison(format) {
+        if (!comparison || !comparison.diff) return;
+        
+        try {
+            const output = await window.blockCellExtractor.exportComparison(comparison.diff, format);
+            downloadBlob(new Blob([output.data], { type: output.mimeType }), output.name);
+        } catch (error) {
+            console.error('Comparison export failed:', error);
+            alert('Could not create the file. Please try again.');
+        }
+    }
+    
+    function batchOutput(job) {
+        return exportOutput(redactIfChosen(job.result), effectiveOptions(job).format);
+    }
+    
+    // Batch files skip the review: with Personal Data on, everything found
+    // is masked
+    function redactIfChosen(result) {
+        const redact = redactPIICheckbox ? redactPIICheckbox.checked : false;
+        return redact && window.redactionPanel ? window.redactionPanel.redactAll(result) : result;
+    }
+    
+    // What downloads, copies and the chat get: the reviewed, masked copy
+    // when Personal Data is on
+    function outputResult() {
+        const panel = window.redactionPanel;
+        return panel && panel.isActive() ? panel.getResult() : currentResult;
+    }
+    
+    // A result as a file in one of the export formats: { name, data, mimeType }
+    function exportOutput(result, format) {
+        return window.blockCellExtractor.export(result, format);
     }
     
-    function showResults() {
+    function showResults(result, redact) {
+        currentResult = result;
+        currentHistoryEntry = Promise.resolve(null);
+        
         // Hide other cards
         if (uploadCard) uploadCard.style.display = 'none';
         if (optionsCard) optionsCard.style.display = 'none';
@@ -127,88 +677,381 @@ document.addEventListener('DOMContentLoaded', function() {
         // Show results card
         if (resultsCard) resultsCard.style.display = 'block';
         
-        // Add sample extracted text
-        const extractedText = document.getElementById('extractedText');
-        if (extractedText) {
-            extractedText.value = `Sample extracted text from ${currentFile.name}:\n\nThis is a demonstration of the PDF extraction functionality.\n\nThe actual extraction would process the PDF content and display it here.\n\nFile: ${currentFile.name}\nSize: ${formatFileSize(currentFile.size)}\nProcessed: ${new Date().toLocaleString()}`;
+        // Fill in the extracted text, page by page. Reopened history
+        // entries have no PDF to show pages from
+        if (window.textViewer) {
+            window.textViewer.setDocument(result, currentFile ? {
+                file: currentFile,
+                password: passwordInput ? passwordInput.value : ''
+            } : null);
         }
         
         // Update stats
         const extractionStats = document.getElementById('extractionStats');
         if (extractionStats) {
+            const processed = result.pageRange
+                ? `Pages ${result.pageRange} processed (${result.pageNumbers.length} of ${result.pageCount})`
+                : `${result.pageCount} ${result.pageCount === 1 ? 'page' : 'pages'} processed`;
+            const { words, characters } = result.statistics;
             extractionStats.innerHTML = `
-                <span>📄 ${Math.floor(Math.random() * 10) + 1} pages processed</span>
-                <span>📝 ${Math.floor(Math.random() * 1000) + 500} words extracted</span>
-                <span>⏱️ ${Math.floor(Math.random() * 3) + 1}s processing time</span>
+                <span>📄 ${processed}</span>
+                <span>📝 ${words.toLocaleString()} ${words === 1 ? 'word' : 'words'}, ${characters.toLocaleString()} characters</span>
+                <span>⏱️ ${formatProcessingTime(result.durationMs)} processing time</span>
             `;
         }
+        
+        showStatus(result);
+        showDocumentInfo(result);
+        showImageGallery(result);
+        if (window.redactionPanel) {
+            if (redact) {
+                window.redactionPanel.setDocument(result);
+            } else {
+                window.redactionPanel.clear();
+            }
+        }
+        if (window.aiChat) window.aiChat.setDocument(outputResult());
+    }
+    
+    function showStatus(result) {
+        const extractionStatus = document.getElementById('extractionStatus');
+        if (!extractionStatus) return;
+        
+        const security = result.security;
+        const encryption = security.encrypted
+            ? `<i class="fas fa-lock"></i> Encrypted (${security.encryptionFilter})`
+            : '<i class="fas fa-lock-open"></i> Not encrypted';
+        const restrictions = security.restrictions.length > 0
+            ? `Restrictions: ${security.restrictions.join(', ')}`
+            : 'No usage restrictions';
+        
+        const ocrPages = result.pages.filter(page => page.ocr);
+        const ocr = ocrPages.length > 0
+            ? `<div class="status-item"><i class="fas fa-eye"></i> ${describeOCRPages(ocrPages)}</div>`
+            : '';
+        
+        let forms = '';
+        if (FormExtraction.hasFormData(result)) {
+            const counts = FormExtraction.countFormData(result);
+            forms = `<div class="status-item"><i class="fas fa-edit"></i> ${counts.fields} form ${counts.fields === 1 ? 'field' : 'fields'}, ${counts.annotations} ${counts.annotations === 1 ? 'annotation' : 'annotations'} (in the Excel and JSON exports)</div>`;
+        }
+        
+        extractionStatus.innerHTML = `
+            <div class="status-item">${encryption}</div>
+            <div class="status-item">${restrictions}</div>
+            ${ocr}
+            ${forms}
+        `;
+    }
+    
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
     
-    // Global functions for button clicks
-    window.removeFile = function() {
+    function formatDate(isoDate) {
+        return isoDate ? new Date(isoDate).toLocaleString() : null;
+    }
+    
+    // Document properties and the pages whose text looks unreliable
+    function showDocumentInfo(result) {
+        const documentInfo = document.getElementById('documentInfo');
+        if (!documentInfo) return;
+        
+        const metadata = result.metadata;
+        const properties = [
+            ['Title', metadata.title],
+            ['Author', metadata.author],
+            ['Subject', metadata.subject],
+            ['Keywords', metadata.keywords],
+            ['Created', formatDate(metadata.creationDate)],
+            ['Modified', formatDate(metadata.modificationDate)],
+            ['Application', metadata.creator],
+            ['Producer', metadata.producer],
+            ['PDF version', metadata.pdfVersion],
+            ['Fonts', metadata.fonts.join(', ')]
+        ];
+        
+        const flagged = result.pages.filter(page => page.quality.level !== 'good');
+        const quality = flagged.length === 0
+            ? `<p class="quality-summary good"><i class="fas fa-check-circle"></i> Every extracted page has readable text.</p>`
+            : `<ul class="quality-list">${flagged.map(page => `
+                <li class="quality-${page.quality.level}">
+                    <i class="fas ${page.quality.level === 'poor' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+                    Page ${page.pageNumber}: ${page.quality.issues.map(issue => DocumentStats.describeIssue(issue, page)).join(', ')}
+                </li>`).join('')}
+            </ul>`;
+        
+        documentInfo.innerHTML = `
+            <summary>
+                <i class="fas fa-info-circle"></i>
+                Document Details
+                ${flagged.length > 0 ? `<span class="quality-badge">${flagged.length} ${flagged.length === 1 ? 'page' : 'pages'} to check</span>` : ''}
+            </summary>
+            <dl class="document-properties">
+                ${properties.map(([label, value]) => `
+                    <dt>${label}</dt>
+                    <dd>${value ? escapeHtml(value) : '<span class="not-set">Not set</span>'}</dd>
+                `).join('')}
+            </dl>
+            <h5>Page Quality</h5>
+            ${quality}
+        `;
+        documentInfo.style.display = 'block';
+    }
+    
+    // Gallery of the embedded images, shown when they were extracted
+    function showImageGallery(result) {
+        const imageGallery = document.getElementById('imageGallery');
+        const imageGrid = document.getElementById('imageGrid');
+        const imageCount = document.getElementById('imageCount');
+        clearImageGallery();
+        if (!imageGallery || !imageGrid || !result.pages.some(page => page.images)) return;
+        
+        const count = ImageExtraction.countImages(result);
+        if (imageCount) imageCount.textContent = `(${count})`;
+        
+        if (count === 0) {
+            imageGrid.innerHTML = '<p class="gallery-empty">No embedded images were found on the extracted pages.</p>';
+        }
+        for (const page of result.pages) {
+            for (const image of page.images || []) {
+                const url = URL.createObjectURL(new Blob([image.data], { type: image.mimeType }));
+                const name = ImageExtraction.imageFileName(page.pageNumber, image.index, result.pageCount);
+                galleryUrls.push(url);
+                
+                const figure = document.createElement('figure');
+                figure.className = 'gallery-item';
+                figure.innerHTML = `
+                    <a href="${url}" download="${name}" title="Download ${name}">
+                        <img src="${url}" alt="Image ${image.index} on page ${page.pageNumber}" loading="lazy">
+                    </a>
+                    <figcaption>Page ${page.pageNumber} · Image ${image.index} · ${image.width}×${image.height} px</figcaption>
+                `;
+                imageGrid.appendChild(figure);
+            }
+        }
+        imageGallery.style.display = 'block';
+    }
+    
+    function clearImageGallery() {
+        const imageGallery = document.getElementById('imageGallery');
+        const imageGrid = document.getElementById('imageGrid');
+        galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        galleryUrls = [];
+        if (imageGrid) imageGrid.innerHTML = '';
+        if (imageGallery) imageGallery.style.display = 'none';
+    }
+    
+    // Long scans get a summary instead of one entry per page
+    function describeOCRPages(pages) {
+        if (pages.length <= 5) {
+            const list = pages.map(page => `${page.pageNumber} (${page.ocr.confidence}%)`).join(', ');
+            return `OCR on ${pages.length === 1 ? 'page' : 'pages'} ${list}`;
+        }
+        
+        const average = Math.round(pages.reduce((sum, page) => sum + page.ocr.confidence, 0) / pages.length);
+        const lowest = pages.reduce((low, page) => (page.ocr.confidence < low.ocr.confidence ? page : low));
+        const pageNumbers = PageRange.format(pages.map(page => page.pageNumber));
+        return `OCR on pages ${pageNumbers} (average ${average}%, lowest ${lowest.ocr.confidence}% on page ${lowest.pageNumber})`;
+    }
+    
+    function removeFile() {
         currentFile = null;
+        currentResult = null;
+        if (window.aiChat) window.aiChat.clearDocument();
+        if (window.redactionPanel) window.redactionPanel.clear();
+        if (window.pageThumbnails) window.pageThumbnails.clear();
+        if (window.textViewer) window.textViewer.clear();
+        clearImageGallery();
+        clearPasswordError();
         if (filePreview) filePreview.style.display = 'none';
         if (optionsCard) optionsCard.style.display = 'none';
         if (fileInput) fileInput.value = '';
-    };
+    }
     
-    window.reset = function() {
+    function reset() {
+        clearBatch();
+        clearComparison();
         currentFile = null;
+        currentResult = null;
+        if (window.aiChat) window.aiChat.clearDocument();
+        if (window.redactionPanel) window.redactionPanel.clear();
+        if (window.pageThumbnails) window.pageThumbnails.clear();
+        if (window.textViewer) window.textViewer.clear();
+        clearImageGallery();
+        clearPasswordError();
         if (uploadCard) uploadCard.style.display = 'block';
         if (optionsCard) optionsCard.style.display = 'none';
         if (resultsCard) resultsCard.style.display = 'none';
         if (filePreview) filePreview.style.display = 'none';
         if (fileInput) fileInput.value = '';
-    };
+    }
     
-    window.extractText = function() {
-        if (extractBtn) extractBtn.click();
-    };
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
     
-    window.downloadExcel = function() {
-        if (currentFile) {
-            // Create a simple Excel-like content
-            const content = document.getElementById('extractedText').value;
-            const blob = new Blob([content], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = currentFile.name.replace('.pdf', '_extracted.txt');
-            a.click();
-            URL.revokeObjectURL(url);
+    async function downloadResult(format) {
+        if (!currentResult) return;
+        
+        try {
+            const output = await exportOutput(outputResult(), format);
+            downloadBlob(new Blob([output.data], { type: output.mimeType }), output.name);
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert('Could not create the file. Please try again.');
         }
-    };
+    }
     
-    window.downloadText = function() {
-        if (currentFile) {
-            const content = document.getElementById('extractedText').value;
-            const blob = new Blob([content], { type: 'text/plain' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = currentFile.name.replace('.pdf', '_extracted.txt');
-            a.click();
-            URL.revokeObjectURL(url);
+    // Every finished file in the effective format of its queue row
+    async function downloadBatchZip() {
+        const jobs = batchQueue ? batchQueue.completedJobs() : [];
+        if (jobs.length === 0) return;
+        
+        try {
+            const files = [];
+            for (const job of jobs) {
+                files.push(await batchOutput(job));
+            }
+            downloadBlob(new Blob([ZipArchive.build(files)], { type: ZipArchive.MIME_TYPE }), 'extracted_pdfs.zip');
+        } catch (error) {
+            console.error('ZIP export failed:', error);
+            alert('Could not create the ZIP file. Please try again.');
         }
-    };
+    }
+    
+    async function downloadBatchWorkbook() {
+        const jobs = batchQueue ? batchQueue.completedJobs() : [];
+        if (jobs.length === 0) return;
+        
+        try {
+            const data = await window.extractionClient.exportCombinedWorkbook(jobs.map(job => redactIfChosen(job.result)));
+            downloadBlob(new Blob([data], { type: ExcelExport.MIME_TYPE }), 'extracted_pdfs.xlsx');
+        } catch (error) {
+            console.error('Excel export failed:', error);
+            alert('Could not create the Excel file. Please try again.');
+        }
+    }
     
-    window.copyText = function() {
-        const extractedText = document.getElementById('extractedText');
-        if (extractedText) {
-            extractedText.select();
-            document.execCommand('copy');
+    async function copyText() {
+        if (!currentResult) return;
+        try {
+            await navigator.clipboard.writeText(outputResult().text);
             alert('Text copied to clipboard!');
+        } catch (error) {
+            alert('Could not copy the text. Please try again.');
         }
+    }
+    
+    function togglePreview() {
+        const viewerBody = document.getElementById('viewerBody');
+        if (viewerBody) viewerBody.classList.toggle('expanded');
+    }
+    
+    // Buttons name what they do with data-command
+    const COMMANDS = {
+        'remove-file': removeFile,
+        'reset': () => window.blockCellExtractor.reset(),
+        'cancel': () => window.blockCellExtractor.cancel(),
+        'download': () => downloadResult(exportFormatSelect ? exportFormatSelect.value : 'excel-simple'),
+        'download-text': () => downloadResult('text'),
+        'download-markdown': () => downloadResult('markdown'),
+        'download-html': () => downloadResult('html'),
+        // The images named by page and index, with manifest.json recording
+        // where each one sits on its page
+        'download-images': () => {
+            if (currentResult && ImageExtraction.countImages(currentResult) > 0) downloadResult('images');
+        },
+        'download-batch-zip': downloadBatchZip,
+        'download-batch-workbook': downloadBatchWorkbook,
+        'copy-text': copyText,
+        'compare': compareBatch,
+        'swap-comparison': swapComparison,
+        'download-comparison-html': () => downloadComparison('html'),
+        'download-comparison-workbook': () => downloadComparison('xlsx'),
+        'toggle-preview': togglePreview
     };
     
-    window.togglePreview = function() {
-        const extractedText = document.getElementById('extractedText');
-        if (extractedText) {
-            if (extractedText.style.height === '400px') {
-                extractedText.style.height = '150px';
-            } else {
-                extractedText.style.height = '400px';
-            }
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-command]');
+        if (button && COMMANDS[button.dataset.command]) COMMANDS[button.dataset.command]();
+    });
+    
+    // The public API drives the page as well as its buttons
+    window.blockCellExtractor.on('open', function(e) {
+        handleFiles(e.detail.files);
+    });
+    window.blockCellExtractor.on('reset', reset);
+    window.blockCellExtractor.on('cancel', function() {
+        if (batchQueue && batchQueue.isRunning()) batchQueue.cancel();
+    });
+    
+    // Formats added with blockCellExtractor.registerExporter, before this
+    // script ran as well as later. Markdown, HTML and images have their own
+    // buttons with the results
+    const BUTTON_FORMATS = ['markdown', 'html', 'images'];
+    
+    function addExportFormat(format) {
+        if (!exportFormatSelect || BUTTON_FORMATS.includes(format.id)) return;
+        if (exportFormatSelect.querySelector(`option[value="${CSS.escape(format.id)}"]`)) return;
+        exportFormatSelect.add(new Option(format.label, format.id));
+    }
+    
+    window.blockCellExtractor.getExporters().forEach(addExportFormat);
+    window.blockCellExtractor.on('exporter', function(e) {
+        addExportFormat(e.detail.format);
+    });
+    
+    // History: show a stored extraction as if it had just finished
+    document.addEventListener('blockcell:open-history', function(e) {
+        clearBatch();
+        clearComparison();
+        currentFile = null;
+        if (window.pageThumbnails) window.pageThumbnails.clear();
+        if (filePreview) filePreview.style.display = 'none';
+        if (fileInput) fileInput.value = '';
+        // Stored results already carry the masking chosen when they were
+        // saved, including the values the user chose to keep
+        showResults(e.detail.entry.result, false);
+        if (resultsCard) resultsCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    
+    // History: download a stored extraction in the format it was made for
+    document.addEventListener('blockcell:download-history', async function(e) {
+        const { result, options } = e.detail.entry;
+        try {
+            const output = await exportOutput(result, options.format || 'excel-simple');
+            downloadBlob(new Blob([output.data], { type: output.mimeType }), output.name);
+        } catch (error) {
+            console.error('History download failed:', error);
+            alert('Could not create the file. Please try again.');
         }
-    };
+    });
+    
+    // Masking changed: the chat reads the new version, and the history
+    // keeps it instead of the one saved before the review
+    document.addEventListener('blockcell:redaction-change', function() {
+        const result = outputResult();
+        if (window.aiChat) window.aiChat.updateDocument(result);
+        currentHistoryEntry.then(function(entry) {
+            if (entry && window.historyPanel) window.historyPanel.replaceResult(entry.id, result);
+        });
+    });
+    
+    // Chat citations: scroll the text preview to the cited page
+    document.addEventListener('blockcell:show-page', function(e) {
+        const viewerText = document.getElementById('viewerText');
+        if (!window.textViewer || !viewerText || !currentResult) return;
+        
+        if (window.textViewer.showPage(e.detail.pageNumber)) {
+            viewerText.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    });
 });
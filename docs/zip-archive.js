@@ -0,0 +1,142 @@
+/**
+ * BlockCell PDF Extractor - ZIP Archive
+ * Minimal ZIP writer (stored entries, UTF-8 names) for bundling outputs
+ * Author: BlockCell Team
+ * Version: 1.0.0
+ */
+
+(function (root) {
+    'use strict';
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function toBytes(data) {
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof Uint8Array) return data;
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        return new Uint8Array(data);
+    }
+
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Make every entry name unique by numbering repeats: "a.txt", "a (2).txt".
+     */
+    function uniqueNames(files) {
+        const used = new Set();
+        return files.map(file => {
+            let name = file.name;
+            let counter = 2;
+            while (used.has(name.toLowerCase())) {
+                name = file.name.replace(/(\.[^./]*)?$/, ext => ` (${counter})${ext}`);
+                counter++;
+            }
+            used.add(name.toLowerCase());
+            return name;
+        });
+    }
+
+    /**
+     * Build a ZIP archive from [{ name, data }] where data is a string,
+     * ArrayBuffer or typed array. Returns the archive bytes.
+     */
+    function build(files, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(modified);
+        const names = uniqueNames(files);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach((file, index) => {
+            const name = encoder.encode(names[index]);
+            const data = toBytes(file.data);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, stamp.time, true);
+            local.setUint16(12, stamp.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, stamp.time, true);
+            central.setUint16(14, stamp.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            archive.set(part, position);
+            position += part.length;
+        }
+
+        return archive;
+    }
+
+    const ZipArchive = {
+        MIME_TYPE: 'application/zip',
+        crc32,
+        build
+    };
+
+    root.ZipArchive = ZipArchive;
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ZipArchive;
+    }
+})(typeof self !== 'undefined' ? self : globalThis);
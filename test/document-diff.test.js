@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DocumentDiff = require('../docs/document-diff.js');
+
+// Replays an edit script: the after side must come out of the before side
+function apply(ops, a, b) {
+    return ops.filter(op => op.type !== 'removed').map(op => (op.type === 'added' ? b[op.after] : a[op.before]));
+}
+
+function result(pages) {
+    return {
+        fileName: 'statement.pdf',
+        pageCount: pages.length,
+        pageNumbers: pages.map((_, index) => index + 1),
+        pages: pages.map((lines, index) => ({ pageNumber: index + 1, lines: lines.map(text => ({ text })) }))
+    };
+}
+
+test('diffSequences finds the shortest edit script', () => {
+    const a = 'the quick brown fox jumps'.split(' ');
+    const b = 'the slow brown fox walks far'.split(' ');
+    const ops = DocumentDiff.diffSequences(a, b);
+
+    assert.deepEqual(apply(ops, a, b), b);
+    assert.deepEqual(ops.filter(op => op.type === 'same').map(op => a[op.before]), ['the', 'brown', 'fox']);
+    assert.equal(ops.filter(op => op.type !== 'same').length, 5);
+});
+
+test('diffSequences handles empty and equal inputs', () => {
+    assert.deepEqual(DocumentDiff.diffSequences([], []), []);
+    assert.deepEqual(DocumentDiff.diffSequences([], ['a']), [{ type: 'added', after: 0 }]);
+    assert.deepEqual(DocumentDiff.diffSequences(['a'], []), [{ type: 'removed', before: 0 }]);
+    assert.deepEqual(DocumentDiff.diffSequences(['a', 'b'], ['a', 'b']).map(op => op.type), ['same', 'same']);
+});
+
+test('diffSequences takes a comparison', () => {
+    const a = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const b = [{ id: 1 }, { id: 3 }];
+    const ops = DocumentDiff.diffSequences(a, b, (x, y) => x.id === y.id);
+    assert.deepEqual(ops, [
+        { type: 'same', before: 0, after: 0 },
+        { type: 'removed', before: 1 },
+        { type: 'same', before: 2, after: 1 }
+    ]);
+});
+
+test('diffSequences stays a valid script past the edit limit', () => {
+    const a = Array.from({ length: 1500 }, (_, index) => `a${index}`);
+    const b = Array.from({ length: 1500 }, (_, index) => `b${index}`);
+    const ops = DocumentDiff.diffSequences(a, b);
+    assert.deepEqual(apply(ops, a, b), b);
+});
+
+test('pairChanges turns a similar removal and addition into a change', () => {
+    const ops = [
+        { type: 'same', before: 0, after: 0 },
+        { type: 'removed', before: 1 },
+        { type: 'removed', before: 2 },
+        { type: 'added', after: 1 },
+        { type: 'added', after: 2 },
+        { type: 'same', before: 3, after: 3 }
+    ];
+    // Only line 2 of the older document was edited into line 2 of the newer one
+    const paired = DocumentDiff.pairChanges(ops, (before, after) => before === 2 && after === 2);
+
+    assert.deepEqual(paired, [
+        { type: 'same', before: 0, after: 0 },
+        { type: 'removed', before: 1 },
+        { type: 'added', after: 1 },
+        { type: 'changed', before: 2, after: 2 },
+        { type: 'same', before: 3, after: 3 }
+    ]);
+});
+
+test('pairChanges keeps unrelated lines as removed and added', () => {
+    const ops = [{ type: 'removed', before: 0 }, { type: 'added', after: 0 }];
+    assert.deepEqual(DocumentDiff.pairChanges(ops, () => false), ops);
+});
+
+test('pairChanges only looks a bounded distance ahead for a match', () => {
+    const ops = [{ type: 'removed', before: 0 }];
+    for (let index = 0; index < 50; index++) ops.push({ type: 'added', after: index });
+    let calls = 0;
+    const paired = DocumentDiff.pairChanges(ops, (before, after) => {
+        calls++;
+        return after === 49;
+    });
+
+    assert.equal(paired.filter(op => op.type === 'changed').length, 0);
+    assert.ok(calls < 50);
+});
+
+test('compare reports changed words and ignores lines moved to the next page', async () => {
+    const before = result([['Statement', 'Balance 1,200.00', 'Fee 5.00'], ['Thank you']]);
+    const after = result([['Statement', 'Balance 1,350.00'], ['Fee 5.00', 'Thank you']]);
+    const diff = await DocumentDiff.compare(before, after);
+
+    assert.deepEqual(diff.summary.changedPages, [1]);
+    assert.equal(diff.summary.changed, 1);
+    assert.equal(diff.summary.added + diff.summary.removed, 0);
+    const changed = diff.pages[0].lines.find(line => line.type === 'changed');
+    assert.deepEqual(changed.words, [
+        { type: 'same', text: 'Balance' },
+        { type: 'removed', text: '1,200.00' },
+        { type: 'added', text: '1,350.00' }
+    ]);
+});
+
+test('compare stops with CANCELLED when its signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+        DocumentDiff.compare(result([['a']]), result([['b']]), { signal: controller.signal }),
+        { code: 'CANCELLED' }
+    );
+});
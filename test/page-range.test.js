@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PageRange = require('../docs/page-range.js');
+
+test('parse selects every page for an empty spec', () => {
+    assert.deepEqual(PageRange.parse('', 3), { valid: true, pages: [1, 2, 3], all: true });
+    assert.deepEqual(PageRange.parse('  ', 2), { valid: true, pages: [1, 2], all: true });
+    assert.deepEqual(PageRange.parse(undefined), { valid: true, pages: [], all: true });
+});
+
+test('parse lists pages in the order given, without repeats', () => {
+    assert.deepEqual(PageRange.parse('1-3, 10, 15-16', 20).pages, [1, 2, 3, 10, 15, 16]);
+    assert.deepEqual(PageRange.parse('5-3', 5).pages, [5, 4, 3]);
+    assert.deepEqual(PageRange.parse('2, 1-3, 2', 5).pages, [2, 1, 3]);
+    assert.deepEqual(PageRange.parse('2–4', 5).pages, [2, 3, 4]);
+    assert.equal(PageRange.parse('1-2', 5).all, false);
+});
+
+test('parse resolves open ranges against the page count', () => {
+    assert.deepEqual(PageRange.parse('8-', 10).pages, [8, 9, 10]);
+    assert.deepEqual(PageRange.parse('-3', 10).pages, [1, 2, 3]);
+    assert.deepEqual(PageRange.parse('8-'), { valid: true, pages: [], all: false });
+});
+
+test('parse rejects malformed specs', () => {
+    for (const spec of ['abc', '1-2-3', '1 2', '-', '1,,2', '3.5']) {
+        const parsed = PageRange.parse(spec, 10);
+        assert.equal(parsed.valid, false, spec);
+        assert.deepEqual(parsed.pages, []);
+        assert.match(parsed.message, /is not a valid page range/);
+    }
+});
+
+test('parse rejects page 0 and pages past the end', () => {
+    assert.equal(PageRange.parse('0-2', 5).message, 'Page numbers start at 1.');
+    assert.equal(PageRange.parse('4-6', 5).message, 'Page 6 does not exist. This document has 5 pages.');
+    assert.equal(PageRange.parse('2', 1).message, 'Page 2 does not exist. This document has 1 page.');
+    // Without a page count only the syntax is checked
+    assert.equal(PageRange.parse('4-6').valid, true);
+});
+
+test('format writes runs of pages back as ranges', () => {
+    assert.equal(PageRange.format([1, 2, 3, 10, 15, 16]), '1-3, 10, 15-16');
+    assert.equal(PageRange.format([5, 4, 3]), '5-3');
+    assert.equal(PageRange.format([7]), '7');
+    assert.equal(PageRange.format([]), '');
+    assert.deepEqual(PageRange.parse(PageRange.format([2, 3, 4, 9, 8]), 10).pages, [2, 3, 4, 9, 8]);
+});
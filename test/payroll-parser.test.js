@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PayrollParser = require('../docs/payroll-parser.js');
+
+function item(str, x, baseline) {
+    return { str, x, y: baseline - 10, width: str.length * 5, height: 10, baseline, fontName: 'g_d0_f1', fontSize: 10, rotation: 0, hasEOL: false };
+}
+
+// Rows of [x, text] pairs, 14pt apart
+function page(pageNumber, rows) {
+    return { pageNumber, items: rows.flatMap((cells, index) => cells.map(([x, text]) => item(text, x, 100 + index * 14))) };
+}
+
+const COLUMNS = [50, 120, 220, 300, 380, 450];
+const register = page(1, [
+    ['Employee ID', 'Name', 'Gross Pay', 'Federal Tax', '401(k)', 'Net Pay'],
+    ['1001', 'Jane Doe', '2,000.00', '200.00', '100.00', '1,700.00'],
+    ['1002', 'John Roe', '1,500.00', '150.00', '50.00', '1,250.00'],
+    ['', 'Totals', '3,500.00', '350.00', '150.00', '2,950.00']
+].map(cells => cells.map((text, index) => [COLUMNS[index], text]).filter(([, text]) => text)));
+
+const stub = page(2, [
+    [[50, 'Employee Name: Ann Lee'], [300, 'Employee ID: 2001']],
+    [[50, 'Pay Period: 03/01/2024 - 03/15/2024'], [300, 'Pay Date: 03/20/2024']],
+    [[50, 'Earnings'], [220, 'Current'], [300, 'YTD']],
+    [[50, 'Gross Pay'], [220, '3,000.00'], [300, '18,000.00']],
+    [[50, 'Taxes']],
+    [[50, 'Federal Income Tax'], [220, '300.00'], [300, '1,800.00']],
+    [[50, 'Medicare'], [220, '43.50'], [300, '261.00']],
+    [[50, 'Deductions']],
+    [[50, 'Dental'], [220, '20.00'], [300, '120.00']],
+    [[50, 'Net Pay'], [220, '2,636.50'], [300, '15,819.00']]
+]);
+
+test('mapRegisterColumns finds the pay, tax and deduction columns', () => {
+    const mapping = PayrollParser.mapRegisterColumns(['Emp #', 'Employee Name', 'Hours', 'Gross Pay', 'FICA', 'Medical', 'Net Pay']);
+    assert.deepEqual(mapping, {
+        employeeId: 0,
+        employeeName: 1,
+        payPeriod: -1,
+        payDate: -1,
+        grossPay: 3,
+        netPay: 6,
+        taxes: [4],
+        deductions: [5]
+    });
+    assert.equal(PayrollParser.mapRegisterColumns(['Item', 'Qty', 'Price']), null);
+});
+
+test('parse reads a payroll register row by row and skips the totals', () => {
+    const { format, employees } = PayrollParser.parse({ pages: [register] });
+
+    assert.equal(format, 'register');
+    assert.deepEqual(employees.map(employee => [employee.employeeId, employee.employeeName, employee.grossPay, employee.netPay]), [
+        ['1001', 'Jane Doe', 2000, 1700],
+        ['1002', 'John Roe', 1500, 1250]
+    ]);
+    assert.deepEqual(employees[0].taxes, { 'Federal Tax': 200 });
+    assert.deepEqual(employees[0].deductions, { '401(k)': 100 });
+});
+
+test('parse reads the current column of a pay stub', () => {
+    const { format, employees } = PayrollParser.parse({ pages: [stub] });
+
+    assert.equal(format, 'stub');
+    assert.equal(employees.length, 1);
+    assert.deepEqual(employees[0], {
+        employeeId: '2001',
+        employeeName: 'Ann Lee',
+        payPeriod: '03/01/2024 - 03/15/2024',
+        payDate: '03/20/2024',
+        grossPay: 3000,
+        taxes: { 'Federal Income Tax': 300, Medicare: 43.5 },
+        deductions: { Dental: 20 },
+        netPay: 2636.5,
+        pageNumbers: [2]
+    });
+});
+
+test('parse lists the employees whose net pay does not reconcile', () => {
+    const { format, employees, discrepancies } = PayrollParser.parse({ pages: [register, stub] });
+
+    assert.equal(format, 'mixed');
+    assert.deepEqual(employees.map(employee => employee.employeeName), ['Jane Doe', 'John Roe', 'Ann Lee']);
+    assert.equal(discrepancies.length, 1);
+    assert.equal(discrepancies[0].employee.employeeName, 'John Roe');
+    assert.equal(discrepancies[0].totalDeductions, 200);
+    assert.equal(discrepancies[0].expectedNet, 1300);
+    assert.equal(discrepancies[0].difference, -50);
+});
+
+test('findDiscrepancies flags employees missing gross or net pay', () => {
+    const employee = { grossPay: null, netPay: 100, taxes: {}, deductions: {} };
+    assert.deepEqual(PayrollParser.findDiscrepancies([employee]), [
+        { employee, totalDeductions: 0, expectedNet: null, difference: null }
+    ]);
+    assert.equal(PayrollParser.totalDeductions({ taxes: { a: 0.1 }, deductions: { b: 0.2 } }), 0.3);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+const PIIDetection = require('../docs/pii-detection.js');
+const LayoutAnalysis = require('../docs/layout-analysis.js');
+const ExcelExport = require('../docs/excel-export.js');
+
+// A text run as PDFExtractionCore.normalizeItem returns it
+function item(str, x, baseline) {
+    return { str, x, y: baseline - 10, width: str.length * 5, height: 10, baseline, fontName: 'g_d0_f1', fontSize: 10, rotation: 0, hasEOL: false };
+}
+
+// One page with a table whose second row has its SSN and routing number
+// split over two runs each, as some PDFs draw them
+function payrollResult() {
+    const items = [
+        item('Name', 50, 100), item('SSN', 200, 100), item('Routing', 350, 100),
+        item('Jane Doe', 50, 115), item('123-45-', 200, 115), item('6788', 235, 115), item('0210', 350, 115), item('00021', 370, 115),
+        item('John Roe', 50, 130), item('234-56-7890', 200, 130), item('011000015', 350, 130)
+    ];
+    const lines = LayoutAnalysis.orderLines(items);
+    return {
+        fileName: 'payroll.pdf',
+        pageCount: 1,
+        pageNumbers: [1],
+        pages: [{ pageNumber: 1, width: 612, height: 792, items, lines, text: lines.map(line => line.text).join('\n') }],
+        text: lines.map(line => line.text).join('\n')
+    };
+}
+
+function tableCells(result) {
+    const workbook = ExcelExport.buildWorkbook(result, { format: 'excel-structured' });
+    const name = workbook.SheetNames.find(sheetName => sheetName.startsWith('Table'));
+    assert.ok(name, 'Smart Columns finds the table');
+    return XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false }).flat().map(String);
+}
+
+test('isValidSSN rejects numbers the SSA never issues', () => {
+    assert.equal(PIIDetection.isValidSSN('123-45-6788'), true);
+    assert.equal(PIIDetection.isValidSSN('234 56 7890'), true);
+    assert.equal(PIIDetection.isValidSSN('000-45-6788'), false);
+    assert.equal(PIIDetection.isValidSSN('666-45-6788'), false);
+    assert.equal(PIIDetection.isValidSSN('912-45-6788'), false);
+    assert.equal(PIIDetection.isValidSSN('123-00-6788'), false);
+    assert.equal(PIIDetection.isValidSSN('123-45-0000'), false);
+    assert.equal(PIIDetection.isValidSSN('078-05-1120'), false);
+    assert.equal(PIIDetection.isValidSSN('12345678'), false);
+});
+
+test('isValidRoutingNumber checks the prefix and the check digit', () => {
+    assert.equal(PIIDetection.isValidRoutingNumber('021000021'), true);
+    assert.equal(PIIDetection.isValidRoutingNumber('011000015'), true);
+    assert.equal(PIIDetection.isValidRoutingNumber('021000022'), false);
+    assert.equal(PIIDetection.isValidRoutingNumber('500000005'), false);
+    assert.equal(PIIDetection.isValidRoutingNumber('02100002'), false);
+});
+
+test('detect finds values split over text runs', () => {
+    const findings = PIIDetection.detect(payrollResult());
+    const values = findings.map(finding => `${finding.type} ${finding.value.replace(/\D/g, '')}`).sort();
+    assert.deepEqual(values, ['routing 011000015', 'routing 021000021', 'ssn 123456788', 'ssn 234567890']);
+});
+
+test('redactResult masks values split over text runs in the items and lines', () => {
+    const result = payrollResult();
+    const redacted = PIIDetection.redactResult(result, PIIDetection.detect(result));
+    const page = redacted.pages[0];
+
+    assert.deepEqual(page.items.map(run => run.str), [
+        'Name', 'SSN', 'Routing',
+        'Jane Doe', '***-**-', '6788', '****', '*0021',
+        'John Roe', '***-**-7890', '*****0015'
+    ]);
+    for (const line of page.lines) {
+        assert.doesNotMatch(line.items.map(run => run.str).join(''), /123-45|0210000|234-56|0110000/);
+    }
+    assert.doesNotMatch(page.text, /123-45|0210000|234-56|0110000/);
+    assert.equal(result.pages[0].items[4].str, '123-45-', 'the original is left alone');
+});
+
+test('redactResult masks split values in the Smart Columns workbook', () => {
+    const result = payrollResult();
+    const before = tableCells(result);
+    assert.ok(before.includes('123-45-6788'));
+
+    const cells = tableCells(PIIDetection.redactResult(result, PIIDetection.detect(result)));
+    assert.ok(cells.includes('***-**-6788'));
+    assert.ok(cells.includes('*****0021'));
+    assert.equal(cells.some(cell => /123-45|0210000|234-56|0110000/.test(cell)), false);
+});
+
+test('redactResult puts a label in the run where the value starts', () => {
+    const result = payrollResult();
+    const redacted = PIIDetection.redactResult(result, PIIDetection.detect(result), 'label');
+    assert.deepEqual(redacted.pages[0].items.slice(4, 8).map(run => run.str), ['[SSN]', '', '[ROUTING NUMBER]', '']);
+});
+
+test('redactResult returns the result unchanged without findings', () => {
+    const result = payrollResult();
+    assert.equal(PIIDetection.redactResult(result, []), result);
+});
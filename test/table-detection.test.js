@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TableDetection = require('../docs/table-detection.js');
+
+function item(str, x, baseline) {
+    return { str, x, y: baseline - 10, width: str.length * 5, height: 10, baseline, fontName: 'g_d0_f1', fontSize: 10, rotation: 0, hasEOL: false };
+}
+
+const LEFT = [
+    'The quarterly results show steady',
+    'growth in every region, with the',
+    'strongest gains in the northern',
+    'markets where new stores opened',
+    'early in the year and drew more'
+];
+const RIGHT = [
+    'Costs rose more slowly than sales',
+    'as freight prices eased and the',
+    'new warehouse cut delivery times',
+    'for most customers by a full day',
+    'compared with the previous year'
+];
+
+test('parseNumber reads amounts and leaves identifiers alone', () => {
+    assert.equal(TableDetection.parseNumber('1,200.00'), 1200);
+    assert.equal(TableDetection.parseNumber('(300.50)'), -300.5);
+    assert.equal(TableDetection.parseNumber('12.00-'), -12);
+    assert.equal(TableDetection.parseNumber('$45'), 45);
+    assert.equal(TableDetection.parseNumber('00123'), null);
+    assert.equal(TableDetection.parseNumber('12/31'), null);
+});
+
+test('detectTables rebuilds a table row by row', () => {
+    const rows = [['Item', 'Qty', 'Price'], ['Apples', '3', '1.20'], ['Pears', '5', '2.00'], ['Plums', '7', '3.10']];
+    const items = rows.flatMap((cells, index) => cells.map((cell, column) => item(cell, 50 + column * 120, 100 + index * 14)));
+
+    const tables = TableDetection.detectTables({ pageNumber: 1, items });
+    assert.equal(tables.length, 1);
+    assert.deepEqual(tables[0].rows, rows);
+});
+
+test('detectTables leaves two columns of prose alone', () => {
+    const items = LEFT.flatMap((text, index) => [item(text, 50, 100 + index * 14), item(RIGHT[index], 320, 100 + index * 14)]);
+    assert.deepEqual(TableDetection.detectTables({ pageNumber: 1, items }), []);
+});
+
+test('detectTables keeps a table with a column of long descriptions', () => {
+    const items = LEFT.flatMap((text, index) => [item(text, 50, 100 + index * 14), item(`${index + 1}0.00`, 320, 100 + index * 14)]);
+    const tables = TableDetection.detectTables({ pageNumber: 1, items });
+    assert.equal(tables.length, 1);
+    assert.equal(tables[0].rows.length, LEFT.length);
+});